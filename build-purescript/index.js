@@ -1,39 +1,177 @@
 'use strict';
 
-const {basename, join, resolve} = require('path');
-const {mkdtemp, stat} = require('fs');
-const osTmpdir = require('os').tmpdir;
+const {createHash} = require('crypto');
+const {basename, dirname, join, resolve} = require('path');
+const {createWriteStream, mkdir, readdir, readFile, stat, unlink, writeFile} = require('fs');
+const {finished} = require('stream');
 const util = require('util');
 
+const byline = require('byline');
+const envPaths = require('env-paths');
 const feint = require('../feint/index.js');
 const isPlainObj = require('is-plain-obj');
 const Observable = require('zen-observable');
 const once = require('once');
 const rimraf = require('rimraf');
-const spawnStack = require('../spawn-stack/index.js');
 
+const builders = require('../purescript-builders/index.js');
 const downloadPurescriptSource = require('../download-purescript-source/index.js');
-
-const ARGS_ERROR = 'Expected `args` option to be an array of user defined arguments passed to `stack setup` and `stack install`';
-const buildOnlyArgs = new Set([
-	'--dry-run',
-	'--pedantic',
-	'--fast',
-	'--only-snapshot',
-	'--only-dependencies',
-	'--only-configure',
-	'--trace',
-	'--profile',
-	'--no-strip',
-	'--coverage',
-	'--no-run-tests',
-	'--no-run-benchmarks'
-]);
+const preparePurescriptSource = require('../prepare-purescript-source/index.js');
+
+const SOURCE_ERROR = 'Expected `source` option to be a path of a local directory or tarball of PureScript source, or a git URL';
+const ARGS_ERROR = 'Expected `args` option to be an array of user defined arguments passed to the builder commands';
+const BUILDER_ERROR = `Expected \`builder\` option to be one of ${[...builders.keys()].map(name => `'${name}'`).join(' and ')}`;
+const BUILD_DIR_ERROR = 'Expected `buildDir` option to be a path of the directory to build PureScript in';
+const LOG_FILE_ERROR = 'Expected `logFile` option to be a path of the file to write the build log to';
+const BIN_DIR_ERROR = 'Expected `binDir` option to be a path of the directory to put the built binary in';
+const JOBS_ERROR = 'Expected `jobs` option to be a positive integer, the number of modules and packages to build in parallel';
+const GHC_OPTIONS_ERROR = 'Expected `ghcOptions` option to be a string or an array of strings, the options passed to GHC';
+const MEMORY_LIMIT_ERROR = 'Expected `memoryLimit` option to be the maximum heap size of GHC, a positive integer of bytes or a string like \'4G\'';
+const memoryLimitRe = /^[1-9]\d*[KMG]?$/ui;
+const SOURCE_MARKER = '.purescript-installer-source';
+const releaseTagRe = /^v\d+\.\d+\.\d+(?:-[\w.-]+)?$/u;
+const commitRe = /^[\da-f]{40}$/ui;
+const LOG_TAIL_LENGTH = 20;
+const defaultBuildRootDir = join(envPaths('purescript-npm-installer').cache, 'builds');
+const defaultLogDir = join(envPaths('purescript-npm-installer').cache, 'logs');
 const binName = `purs${process.platform === 'win32' ? '.exe' : ''}`;
 const negligibleLineRe = /^WARNING: (?:filepath wildcard|(?:File|Directory) listed|Installation path|Specified pattern) .*/ui;
 
-function isLocalBinPathFlag(flag) {
-	return flag.startsWith('--local-bin-path');
+function hash(str) {
+	return createHash('sha256').update(str).digest('hex').slice(0, 16);
+}
+
+// What the source in a build directory is prepared from, or `null` for a source that may have changed since,
+// that is, a local `source` or a branch. Release tags and commits never change.
+// The expected `integrity` is a part of it, so that a source downloaded without the verification is never reused.
+async function resolveSourceKey({revision = downloadPurescriptSource.defaultRevision, source, integrity}) {
+	if (source === undefined) {
+		if (!releaseTagRe.test(revision) && !commitRe.test(revision)) {
+			return null;
+		}
+
+		return `revision:${revision}${integrity === undefined ? '' : ` ${integrity}`}`;
+	}
+
+	const commit = await preparePurescriptSource.resolveGitCommit(source);
+
+	return commit === null ? null : `git:${source.replace(/#.*$/u, '')}#${commit}`;
+}
+
+function getDefaultBuildDir({revision, source}) {
+	if (source === undefined) {
+		return join(defaultBuildRootDir, (revision || downloadPurescriptSource.defaultRevision).replace(/[^\w.-]/gu, '_'));
+	}
+
+	return /^git\+/u.test(source) ?
+		join(defaultBuildRootDir, `git-${hash(source)}`) :
+		join(defaultBuildRootDir, `local-${hash(resolve(source))}`);
+}
+
+// Return whether the directory already has the source, and otherwise remove the previous one
+// except for the build artifacts, so that the builder only rebuilds what has changed.
+// The marker file is empty until the source is completely prepared.
+async function prepareBuildDir(dir, sourceKey, isUserDir) {
+	const markerPath = join(dir, SOURCE_MARKER);
+	let marker = null;
+
+	try {
+		marker = await util.promisify(readFile)(markerPath, 'utf8');
+	} catch (err) {
+		if (err.code !== 'ENOENT') {
+			throw err;
+		}
+	}
+
+	if (sourceKey !== null && marker === sourceKey) {
+		return true;
+	}
+
+	const names = await util.promisify(readdir)(dir);
+
+	// never remove files from a directory that isn't created by this module
+	if (isUserDir && marker === null && names.length !== 0) {
+		const error = new Error(`Expected \`buildDir\` option to be an empty directory or one used for a previous build, but ${dir} contains other files.`);
+
+		error.code = 'ERR_BUILD_DIR_NOT_EMPTY';
+		throw error;
+	}
+
+	const artifactDirs = new Set([...builders.values()].map(({workDir}) => workDir));
+
+	await Promise.all(names
+	.filter(name => !artifactDirs.has(name))
+	.map(name => util.promisify(rimraf)(join(dir, name), {glob: false})));
+	await util.promisify(writeFile)(markerPath, '');
+
+	return false;
+}
+
+// Every output line of the builder commands with a timestamp, to look into a failed build afterwards
+class BuildLog {
+	constructor(path) {
+		this.path = path;
+		this.stream = null;
+		this.closed = false;
+		this.failed = false;
+		this.tail = [];
+	}
+
+	add(command, cp) {
+		if (!this.stream) {
+			this.stream = createWriteStream(this.path, {flags: 'a'});
+			// failing to write the log doesn't fail the build
+			this.stream.on('error', () => {
+				this.failed = true;
+			});
+		}
+
+		this.write(`$ ${command}`);
+
+		// `all` is both stdout and stderr, and isn't available when the command fails to spawn
+		if (!cp.all) {
+			return;
+		}
+
+		byline(cp.all).on('data', buffer => {
+			const line = buffer.toString();
+
+			this.write(line);
+
+			if (line.trim().length === 0 || negligibleLineRe.test(line)) {
+				return;
+			}
+
+			this.tail.push(line);
+
+			if (this.tail.length > LOG_TAIL_LENGTH) {
+				this.tail.shift();
+			}
+		});
+	}
+
+	write(line) {
+		if (this.closed || this.failed) {
+			return;
+		}
+
+		this.stream.write(`[${new Date().toISOString()}] ${line}\n`);
+	}
+
+	close(cb) {
+		if (!this.stream || this.closed) {
+			cb();
+			return;
+		}
+
+		this.closed = true;
+		finished(this.stream, () => cb());
+		this.stream.end();
+	}
+
+	remove(cb) {
+		this.close(() => this.stream ? unlink(this.path, () => cb()) : cb());
+	}
 }
 
 module.exports = function buildPurescript(...args) {
@@ -56,13 +194,12 @@ module.exports = function buildPurescript(...args) {
 				}.`);
 			}
 
-			// to validate download-purescript-source arguments beforehand
-			const tmpSumscription = downloadPurescriptSource(__dirname, options).subscribe({
+			// to validate download-purescript-source arguments beforehand, whose errors are sent synchronously
+			downloadPurescriptSource(__dirname, options).subscribe({
 				error(err) {
 					observer.error(err);
 				}
-			});
-			setImmediate(() => tmpSumscription.unsubscribe());
+			}).unsubscribe();
 
 			if (options.cwd !== undefined) {
 				throw new Error(`build-purescript doesn't support \`cwd\` option, but ${
@@ -70,6 +207,101 @@ module.exports = function buildPurescript(...args) {
 				} was provided.`);
 			}
 
+			if (options.source !== undefined) {
+				if (typeof options.source !== 'string') {
+					throw new TypeError(`${SOURCE_ERROR}, but got a non-string value ${
+						util.inspect(options.source)
+					}.`);
+				}
+
+				if (options.source.length === 0) {
+					throw new Error(`${SOURCE_ERROR}, but got '' (empty string).`);
+				}
+
+				for (const optionName of ['revision', 'sourceMirror']) {
+					if (options[optionName] !== undefined) {
+						throw new Error(`\`${optionName}\` option cannot be used with \`source\` option, but ${
+							util.inspect(options[optionName])
+						} was provided.`);
+					}
+				}
+			}
+
+			if (options.buildDir !== undefined) {
+				if (typeof options.buildDir !== 'string') {
+					throw new TypeError(`${BUILD_DIR_ERROR}, but got a non-string value ${
+						util.inspect(options.buildDir)
+					}.`);
+				}
+
+				if (options.buildDir.length === 0) {
+					throw new Error(`${BUILD_DIR_ERROR}, but got '' (empty string).`);
+				}
+			}
+
+			if (options.binDir !== undefined) {
+				if (typeof options.binDir !== 'string') {
+					throw new TypeError(`${BIN_DIR_ERROR}, but got a non-string value ${
+						util.inspect(options.binDir)
+					}.`);
+				}
+
+				if (options.binDir.length === 0) {
+					throw new Error(`${BIN_DIR_ERROR}, but got '' (empty string).`);
+				}
+			}
+
+			if (options.keepBuildDir !== undefined && typeof options.keepBuildDir !== 'boolean') {
+				throw new TypeError(`Expected \`keepBuildDir\` option to be a Boolean value, but got ${
+					util.inspect(options.keepBuildDir)
+				}.`);
+			}
+
+			if (options.logFile !== undefined) {
+				if (typeof options.logFile !== 'string') {
+					throw new TypeError(`${LOG_FILE_ERROR}, but got a non-string value ${
+						util.inspect(options.logFile)
+					}.`);
+				}
+
+				if (options.logFile.length === 0) {
+					throw new Error(`${LOG_FILE_ERROR}, but got '' (empty string).`);
+				}
+			}
+
+			if (options.jobs !== undefined && !(Number.isSafeInteger(options.jobs) && options.jobs > 0)) {
+				throw new TypeError(`${JOBS_ERROR}, but got ${util.inspect(options.jobs)}.`);
+			}
+
+			if (options.ghcOptions !== undefined) {
+				const ghcOptions = typeof options.ghcOptions === 'string' ? [options.ghcOptions] : options.ghcOptions;
+
+				if (!Array.isArray(ghcOptions) || !ghcOptions.every(option => typeof option === 'string')) {
+					throw new TypeError(`${GHC_OPTIONS_ERROR}, but got ${util.inspect(options.ghcOptions)}.`);
+				}
+
+				// the options are joined with spaces into a single `--ghc-options` flag
+				if (Array.isArray(options.ghcOptions) && options.ghcOptions.some(option => /^$|\s/u.test(option))) {
+					throw new Error(`${GHC_OPTIONS_ERROR}, each of which is a single option without whitespace, but got ${
+						util.inspect(options.ghcOptions)
+					}.`);
+				}
+			}
+
+			if (options.memoryLimit !== undefined) {
+				if (typeof options.memoryLimit !== 'string' && typeof options.memoryLimit !== 'number') {
+					throw new TypeError(`${MEMORY_LIMIT_ERROR}, but got ${util.inspect(options.memoryLimit)}.`);
+				}
+
+				if (!memoryLimitRe.test(String(options.memoryLimit)) || options.memoryLimit > Number.MAX_SAFE_INTEGER) {
+					throw new Error(`${MEMORY_LIMIT_ERROR}, but got ${util.inspect(options.memoryLimit)}.`);
+				}
+			}
+
+			if (options.builder !== undefined && !builders.has(options.builder)) {
+				throw new Error(`${BUILDER_ERROR}, but got ${util.inspect(options.builder)}.`);
+			}
+
 			if (options.args !== undefined) {
 				if (!Array.isArray(options.args)) {
 					throw new TypeError(`${ARGS_ERROR}, but got a non-array value ${
@@ -80,30 +312,31 @@ module.exports = function buildPurescript(...args) {
 		}
 
 		const subscriptions = new Set();
-		const installArgs = [
-			'install',
-			`--local-bin-path=${process.cwd()}`,
-			'--flag=purescript:RELEASE'
-		];
-		const defaultArgs = options.args ? options.args.filter(arg => {
-			if (buildOnlyArgs.has(arg)) {
-				installArgs.push(arg);
-				return false;
-			}
-
-			return true;
-		}) : [];
-
-		if (defaultArgs.some(isLocalBinPathFlag)) {
-			const error = new Error('`--local-bin-path` flag of the `stack` command is not configurable, but provided for `args` option.');
-			error.code = 'ERR_INVALID_OPT_VALUE';
-
-			throw error;
-		}
+		const builder = builders.get(options.builder || 'stack');
+		const userArgs = options.args || [];
+
+		builder.validateArgs(userArgs);
+
+		// the heap size limit is an RTS option of GHC itself, not of the built executable
+		const resources = {
+			jobs: options.jobs,
+			ghcOptions: [
+				...options.ghcOptions === undefined ? [] : [].concat(options.ghcOptions).filter(option => option.trim().length !== 0),
+				...options.memoryLimit === undefined ? [] : ['+RTS', `-M${options.memoryLimit}`, '-RTS']
+			]
+		};
 
+		// a build directory given by the user is never removed
+		const buildDir = options.buildDir === undefined ? getDefaultBuildDir(options) : resolve(options.buildDir);
+		const shouldRemoveBuildDir = options.buildDir === undefined && !options.keepBuildDir;
+		let sourceKey;
 		const spawnOptions = {cwd: null, ...options};
-		const cleanupSourceDir = (cb = () => {}) => spawnOptions.cwd ? rimraf(spawnOptions.cwd, {glob: false}, cb) : cb();
+		const cleanupBuildDir = (cb = () => {}) => shouldRemoveBuildDir ? rimraf(buildDir, {glob: false}, cb) : cb();
+		const buildLog = new BuildLog(options.logFile === undefined ?
+			join(defaultLogDir, `${basename(buildDir)}-${new Date().toISOString().replace(/[:.]/gu, '-')}.log`) :
+			resolve(options.logFile));
 
+		// the build directory and the log are kept on failure, so that the next build continues from it
 		const sendError = once((err, id) => {
 			if (id) {
 				Object.defineProperty(err, 'id', {
@@ -113,16 +346,31 @@ module.exports = function buildPurescript(...args) {
 				});
 			}
 
-			cleanupSourceDir(() => observer.error(err));
+			if (spawnOptions.cwd) {
+				err.buildDir = buildDir;
+			}
+
+			buildLog.close(() => {
+				if (buildLog.stream && !buildLog.failed) {
+					err.logFile = buildLog.path;
+					err.logTail = buildLog.tail;
+				}
+
+				observer.error(err);
+			});
 		});
 
-		const setupArgs = [...defaultArgs, 'setup'];
-		const setupCommand = `stack ${setupArgs.join(' ')}`;
-		const buildArgs = [...defaultArgs, ...installArgs];
-		const buildCommand = `stack ${buildArgs.join(' ')}`;
+		const setupArgs = builder.getSetupArgs(userArgs, resources);
+		const setupCommand = `${builder.name} ${setupArgs.join(' ')}`;
+		const binDir = resolve(options.binDir === undefined ? '' : options.binDir);
+		const buildArgs = builder.getBuildArgs(userArgs, binDir, resources);
+		const buildCommand = `${builder.name} ${buildArgs.join(' ')}`;
 
 		const startBuildOnReady = feint(() => {
-			subscriptions.add(Observable.from(spawnStack(buildArgs, spawnOptions)).subscribe({
+			const cp = builder.spawn(buildArgs, spawnOptions);
+
+			buildLog.add(buildCommand, cp);
+			subscriptions.add(Observable.from(cp).subscribe({
 				next(line) {
 					if (negligibleLineRe.test(line)) {
 						return;
@@ -143,17 +391,22 @@ module.exports = function buildPurescript(...args) {
 					sendError(err, 'build');
 				},
 				complete() {
-					cleanupSourceDir(() => {
+					// the default log is only needed when the build fails
+					const finishLog = options.logFile === undefined ? cb => buildLog.remove(cb) : cb => buildLog.close(cb);
+
+					finishLog(() => cleanupBuildDir(() => {
 						observer.next({id: 'build:complete'});
 						observer.complete();
-					});
+					}));
 				}
 			}));
 		});
 
 		const setup = once(() => {
-			subscriptions.add(Observable.from(spawnStack(setupArgs, spawnOptions))
-			.subscribe({
+			const cp = builder.spawn(setupArgs, spawnOptions);
+
+			buildLog.add(setupCommand, cp);
+			subscriptions.add(Observable.from(cp).subscribe({
 				next(line) {
 					observer.next({
 						id: 'setup',
@@ -171,9 +424,9 @@ module.exports = function buildPurescript(...args) {
 			}));
 		});
 
-		const binPath = resolve(binName);
+		const binPath = join(binDir, binName);
 
-		stat(resolve(binName), (err, stats) => {
+		stat(binPath, (err, stats) => {
 			if (observer.closed || err || !stats.isDirectory()) {
 				return;
 			}
@@ -184,35 +437,78 @@ module.exports = function buildPurescript(...args) {
 			sendError(error);
 		});
 
-		mkdtemp(join(osTmpdir(), 'node-purescript-'), (err, tmpDir) => {
-			if (err) {
+		(async () => {
+			let reused;
+
+			// The `Observable` may only be subscribed to validate the options and unsubscribed right away,
+			// so nothing is created until the next turn of the event loop.
+			await util.promisify(setImmediate)();
+
+			if (observer.closed) {
+				return;
+			}
+
+			try {
+				sourceKey = await resolveSourceKey(options);
+				await Promise.all([buildDir, dirname(buildLog.path), binDir].map(dir => util.promisify(mkdir)(dir, {recursive: true})));
+				reused = await prepareBuildDir(buildDir, sourceKey, options.buildDir !== undefined);
+			} catch (err) {
 				sendError(err);
 				return;
 			}
 
-			spawnOptions.cwd = tmpDir;
+			spawnOptions.cwd = buildDir;
 
 			if (observer.closed) {
-				cleanupSourceDir();
 				return;
 			}
 
-			const download = downloadPurescriptSource(tmpDir, options)
-			.subscribe({
+			if (reused) {
+				setup();
+				observer.next({id: 'download:complete', reused: true});
+				startBuildOnReady();
+				return;
+			}
+
+			const source = options.source === undefined ?
+				downloadPurescriptSource(buildDir, options) :
+				preparePurescriptSource(buildDir, options.source);
+
+			const download = source.subscribe({
 				next(progress) {
+					if (progress.retry) {
+						progress.id = 'download:retry';
+						observer.next(progress);
+						return;
+					}
+
 					progress.id = 'download';
 					observer.next(progress);
 
+					// `git` command output of a git `source` has no entries
+					if (!progress.entry) {
+						return;
+					}
+
 					const {remain, header: {path}} = progress.entry;
 
-					if (remain === 0 && basename(path) === 'stack.yaml') {
+					if (remain === 0 && basename(path) === builder.setupFile) {
 						setup();
 					}
 				},
 				error(downloadErr) {
 					sendError(downloadErr, 'download');
 				},
-				complete() {
+				async complete() {
+					if (sourceKey !== null) {
+						try {
+							await util.promisify(writeFile)(join(buildDir, SOURCE_MARKER), sourceKey);
+						} catch (err) {
+							sendError(err, 'download');
+							return;
+						}
+					}
+
 					setup();
 					observer.next({id: 'download:complete'});
 					startBuildOnReady();
@@ -220,7 +516,7 @@ module.exports = function buildPurescript(...args) {
 			});
 
 			subscriptions.add(download);
-		});
+		})();
 
 		return function cancelBuild() {
 			for (const subscription of subscriptions) {
@@ -230,7 +526,17 @@ module.exports = function buildPurescript(...args) {
 	});
 };
 
-Object.defineProperty(module.exports, 'supportedBuildFlags', {
-	value: buildOnlyArgs,
-	enumerable: true
+Object.defineProperties(module.exports, {
+	defaultBuildRootDir: {
+		value: defaultBuildRootDir,
+		enumerable: true
+	},
+	defaultLogDir: {
+		value: defaultLogDir,
+		enumerable: true
+	},
+	supportedBuildFlags: {
+		value: builders.supportedBuildFlags,
+		enumerable: true
+	}
 });
@@ -1,32 +1,76 @@
 'use strict';
 
+const {createHash} = require('crypto');
 const {inspect} = require('util');
 const {resolve} = require('path');
-const {Transform} = require('stream');
+const {spawn} = require('child_process');
+const {Duplex, Transform} = require('stream');
 const {promises: fs} = require('fs');
 
 const cancelablePump = require('../cancelable-pump/index.js');
+const {pickNetworkOptions} = require('../npm-network-config/index.js');
+const ZipUnpack = require('../zip-unpack/index.js');
 const {Unpack} = require('tar');
 const isPlainObj = require('is-plain-obj');
 const fetch = require('make-fetch-happen');
 const Observable = require('zen-observable');
 
+// The state of a download sent to the `Observer` with each extracted entry
+class DownloadProgress {
+	constructor(observer) {
+		this.observer = observer;
+		this.url = '';
+		this.responseHeaders = null;
+		this.responseBytes = 0;
+		this.total = null;
+		this.integrity = null;
+		this.lastEntry = null;
+	}
+
+	emit(entry) {
+		this.lastEntry = entry;
+		this.observer.next({
+			entry,
+			response: {
+				url: this.url,
+				headers: this.responseHeaders,
+				bytes: this.responseBytes,
+				total: this.total,
+				integrity: this.integrity
+			}
+		});
+	}
+
+	emitFirst(entry) {
+		const originalRemain = entry.remain;
+		const originalBlockRemain = entry.blockRemain;
+
+		entry.remain = entry.size;
+		entry.blockRemain = entry.startBlockSize;
+		this.emit(entry);
+		entry.remain = originalRemain;
+		entry.blockRemain = originalBlockRemain;
+	}
+}
+
 class InternalUnpack extends Unpack {
 	constructor(options) {
+		const {progress} = options;
+
 		super({
 			strict: true,
 			strip: 1,
 			...options,
 			onentry(entry) {
 				if (entry.size === 0) {
-					setImmediate(() => this.emitProgress(entry));
+					setImmediate(() => progress.emit(entry));
 					return;
 				}
 
 				if (entry.remain === 0) {
 					setImmediate(() => {
-						this.emitFirstProgress(entry);
-						this.emitProgress(entry);
+						progress.emitFirst(entry);
+						progress.emit(entry);
 					});
 					return;
 				}
@@ -39,49 +83,223 @@ class InternalUnpack extends Unpack {
 
 					if (!firstValueEmitted) {
 						firstValueEmitted = true;
-						this.emitFirstProgress(entry);
+						progress.emitFirst(entry);
 					}
 
-					this.emitProgress(entry);
+					progress.emit(entry);
 					return originalReturn;
 				};
 			}
 		});
+	}
+}
 
-		this.observer = options.observer;
-		this.url = '';
-		this.responseHeaders = null;
-		this.responseBytes = 0;
+class InternalZipUnpack extends ZipUnpack {
+	constructor(options) {
+		const {progress} = options;
+
+		super({
+			strict: true,
+			strip: 1,
+			...options,
+			onentry(entry) {
+				progress.emit(entry);
+				entry.on('data', () => progress.emit(entry));
+			}
+		});
 	}
+}
 
-	emitProgress(entry) {
-		this.observer.next({
-			entry,
-			response: {
-				url: this.url,
-				headers: this.responseHeaders,
-				bytes: this.responseBytes
+// A stream that pipes data through a decompression command, for example `xz --decompress --stdout`
+class DecompressStream extends Duplex {
+	constructor(format) {
+		super();
+
+		const [command, args] = decompressCommands[format];
+		let stderr = '';
+
+		this.child = spawn(command, args, {windowsHide: true});
+		this.child.on('error', err => {
+			if (err.code === 'ENOENT') {
+				const error = new Error(`\`${command}\` command is required to extract a ${format} archive, but it's not found in your PATH.`);
+
+				error.code = 'ERR_DECOMPRESSOR_NOT_FOUND';
+				this.destroy(error);
+				return;
+			}
+
+			this.destroy(err);
+		});
+		this.child.stdin.on('error', err => this.destroy(err));
+		this.child.stderr.on('data', chunk => {
+			stderr += chunk;
+		});
+		this.child.stdout.on('data', chunk => {
+			if (!this.push(chunk)) {
+				this.child.stdout.pause();
 			}
 		});
+		this.child.on('close', code => {
+			if (code !== 0) {
+				this.destroy(new Error(`\`${command} ${args.join(' ')}\` exited with ${code}: ${stderr.trim()}`));
+				return;
+			}
+
+			this.push(null);
+		});
 	}
 
-	emitFirstProgress(entry) {
-		const originalRemain = entry.remain;
-		const originalBlockRemain = entry.blockRemain;
+	_read() {
+		this.child.stdout.resume();
+	}
 
-		entry.remain = entry.size;
-		entry.blockRemain = entry.startBlockSize;
-		this.emitProgress(entry);
-		entry.remain = originalRemain;
-		entry.blockRemain = originalBlockRemain;
+	_write(chunk, encoding, cb) {
+		this.child.stdin.write(chunk, cb);
+	}
+
+	_final(cb) {
+		this.child.stdin.end(cb);
+	}
+
+	_destroy(err, cb) {
+		this.child.kill();
+		cb(err);
 	}
 }
 
 const functionOptions = new Set(['filter', 'onwarn', 'transform']);
 
 const DEST_ERROR = 'Expected a path where downloaded tar archive will be extracted';
+const INTEGRITY_ERROR = 'Expected `integrity` option to be a Subresource Integrity string, for example \'sha256-47DEQpj8HBSa+/TImW+5JCeuQeRkm5NMpJWZG3hSuFU=\'';
+const integrityRe = /^(sha1|sha256|sha384|sha512)-[A-Za-z0-9+/]+={0,2}$/u;
 const STRIP_ERROR = 'Expected `strip` option to be a non-negative integer (0, 1, ...) ' +
                     'that specifies how many leading components from file names will be stripped';
+const RETRY_ERROR = 'Expected `retry` option to be a number of retries or an object {retries, factor, minTimeout, maxTimeout} ' +
+                    'whose values are non-negative numbers';
+const defaultRetryOptions = {
+	retries: 3,
+	factor: 2,
+	minTimeout: 1000,
+	maxTimeout: 10000
+};
+const TIMEOUT_ERROR = 'option to be a non-negative number of milliseconds, or 0 or Infinity to disable the timeout';
+const defaultTimeouts = {
+	connectTimeout: 30000,
+	stallTimeout: 30000,
+	downloadTimeout: 0
+};
+const retryableStatusCodes = new Set([408, 420, 429]);
+const FORMAT_ERROR = 'Expected `format` option to be one of \'tar\', \'tar.gz\', \'tar.xz\', \'tar.bz2\' and \'zip\'';
+const formats = new Set(['tar', 'tar.gz', 'tar.xz', 'tar.bz2', 'zip']);
+const contentTypes = new Map([
+	['application/x-tar', 'tar'],
+	['application/gzip', 'tar.gz'],
+	['application/x-gzip', 'tar.gz'],
+	['application/x-xz', 'tar.xz'],
+	['application/x-bzip2', 'tar.bz2'],
+	['application/zip', 'zip'],
+	['application/x-zip-compressed', 'zip']
+]);
+const extensions = [
+	[/\.tar$/iu, 'tar'],
+	[/\.(?:tar\.gz|tgz)$/iu, 'tar.gz'],
+	[/\.(?:tar\.xz|txz)$/iu, 'tar.xz'],
+	[/\.(?:tar\.bz2|tbz2?)$/iu, 'tar.bz2'],
+	[/\.zip$/iu, 'zip']
+];
+// node-tar unzips gzipped archives by itself
+const decompressCommands = {
+	'tar.xz': ['xz', ['--decompress', '--stdout']],
+	'tar.bz2': ['bzip2', ['--decompress', '--stdout']]
+};
+const contentRangeRe = /^bytes (\d+)-/u;
+const contentRangeTotalRe = /\/(\d+)$/u;
+const contentLengthRe = /^\d+$/u;
+
+function normalizeRetryOptions(retry) {
+	if (retry === undefined) {
+		return defaultRetryOptions;
+	}
+
+	const retryOptions = typeof retry === 'number' ? {...defaultRetryOptions, retries: retry} : {...defaultRetryOptions, ...retry};
+
+	if (typeof retry !== 'number' && !isPlainObj(retry)) {
+		throw new TypeError(`${RETRY_ERROR}, but got ${inspect(retry)}.`);
+	}
+
+	for (const value of Object.values(retryOptions)) {
+		if (typeof value !== 'number' || !(value >= 0)) {
+			throw new TypeError(`${RETRY_ERROR}, but got ${inspect(retry)}.`);
+		}
+	}
+
+	return retryOptions;
+}
+
+function getTimeout(options, optionName) {
+	const val = options[optionName] === undefined ? defaultTimeouts[optionName] : options[optionName];
+
+	// `setTimeout()` treats a delay larger than a signed 32-bit integer as 1 ms
+	return val === Infinity ? 0 : Math.min(val, 2147483647);
+}
+
+function createTimeoutError(message, code, retryable) {
+	const error = new Error(message);
+
+	error.code = code;
+	error.retryable = retryable;
+	return error;
+}
+
+// Use the `Content-Type` if it's specific, otherwise the extension of the requested or the redirected URL.
+// For example, GitHub serves release assets as `application/octet-stream` from URLs without extensions.
+function detectFormat(response, requestedUrl) {
+	const [contentType] = (response.headers.get('content-type') || '').split(';');
+	const format = contentTypes.get(contentType.trim().toLowerCase());
+
+	if (format) {
+		return format;
+	}
+
+	for (const url of [requestedUrl, response.url]) {
+		const {pathname} = new URL(url);
+
+		for (const [extensionRe, extensionFormat] of extensions) {
+			if (extensionRe.test(pathname)) {
+				return extensionFormat;
+			}
+		}
+	}
+
+	return 'tar';
+}
+
+// The size of the whole archive, or `null` if unknown
+function getTotalLength(response) {
+	const contentEncoding = response.headers.get('content-encoding');
+
+	// the body is decoded, so the length of the encoded body doesn't tell the size of the archive
+	if (contentEncoding && contentEncoding !== 'identity') {
+		return null;
+	}
+
+	if (response.status === 206) {
+		const [, total] = contentRangeTotalRe.exec(response.headers.get('content-range')) || [];
+
+		return total === undefined ? null : Number(total);
+	}
+
+	const contentLength = response.headers.get('content-length');
+
+	return contentLengthRe.test(contentLength) ? Number(contentLength) : null;
+}
+
+function createStatusError(response) {
+	const error = new Error(`${response.status} ${response.statusText}`);
+
+	error.retryable = retryableStatusCodes.has(response.status) || response.status >= 500;
+	return error;
+}
 
 module.exports = function dlTar(...args) {
 	const argLen = args.length;
@@ -158,15 +376,49 @@ module.exports = function dlTar(...args) {
 				}
 			}
 
+			if (options.integrity !== undefined) {
+				if (typeof options.integrity !== 'string') {
+					throw new TypeError(`${INTEGRITY_ERROR}, but got a non-string value ${inspect(options.integrity)}.`);
+				}
+
+				if (!integrityRe.test(options.integrity)) {
+					throw new Error(`${INTEGRITY_ERROR}, but got ${inspect(options.integrity)}.`);
+				}
+			}
+
 			if (options.onentry !== undefined) {
 				throw new Error('`dl-tar` does not support `onentry` option.');
 			}
+
+			if (options.format !== undefined && !formats.has(options.format)) {
+				throw new (typeof options.format === 'string' ? Error : TypeError)(`${FORMAT_ERROR}, but got ${inspect(options.format)}.`);
+			}
+
+			for (const optionName of Object.keys(defaultTimeouts)) {
+				const val = options[optionName];
+
+				if (val !== undefined && (typeof val !== 'number' || !(val >= 0))) {
+					throw new TypeError(`Expected \`${optionName}\` ${TIMEOUT_ERROR}, but got ${inspect(val)}.`);
+				}
+			}
 		}
 
+		const retryOptions = normalizeRetryOptions(options.retry);
+		const connectTimeout = getTimeout(options, 'connectTimeout');
+		const stallTimeout = getTimeout(options, 'stallTimeout');
+		const downloadTimeout = getTimeout(options, 'downloadTimeout');
+
 		const cwd = process.cwd();
 		const absoluteDest = resolve(cwd, dest);
 		let ended = false;
 		let cancel;
+		let currentBody;
+		let connectTimer;
+		let stallTimer;
+		let retryTimer;
+		const downloadTimer = downloadTimeout === 0 ? null : setTimeout(() => {
+			fail(createTimeoutError(`Failed to download ${url} in ${downloadTimeout} ms.`, 'ERR_DOWNLOAD_TIMEOUT', false));
+		}, downloadTimeout);
 
 		(async () => {
 			try {
@@ -178,66 +430,301 @@ module.exports = function dlTar(...args) {
 					return;
 				}
 
-				const unpackStream = new InternalUnpack({
-					...options,
-					cwd: absoluteDest,
-					observer
+				const progress = new DownloadProgress(observer);
+				const {baseUrl, headers, cache, cachePath} = options;
+				const networkOptions = pickNetworkOptions(options);
+				const {href} = new URL(url, baseUrl);
+				const [, algorithm = 'sha512'] = integrityRe.exec(options.integrity) || [];
+				const hash = createHash(algorithm);
+				const hashStream = new Transform({
+					transform(chunk, encoding, cb) {
+						progress.responseBytes += chunk.length;
+						hash.update(chunk);
+						cb(null, chunk);
+					}
 				});
 
-				const {baseUrl, headers} = options;
-				const {href} = new URL(url, baseUrl);
+				function onPipelineEnd(err) {
+					if (ended) {
+						return;
+					}
 
-				const res = await fetch(href, {headers}).then(response => {
+					stop();
+
+					if (err) {
+						observer.error(err);
+						return;
+					}
+
+					const actual = `${algorithm}-${hash.digest('base64')}`;
+
+					if (options.integrity !== undefined && actual !== options.integrity) {
+						const error = new Error(`Checksum mismatch for ${progress.url}: expected ${options.integrity}, but the downloaded archive has ${actual}.`);
+
+						error.code = 'ERR_CHECKSUM_MISMATCH';
+						error.expected = options.integrity;
+						error.actual = actual;
+						observer.error(error);
+						return;
+					}
+
+					progress.integrity = actual;
+
+					if (progress.lastEntry) {
+						progress.emit(progress.lastEntry);
+					}
+
+					observer.complete();
+				}
+
+				// The extraction pipeline is created once the format of the archive is known from the first response
+				function startExtraction(format) {
+					const unpackOptions = {
+						...options,
+						cwd: absoluteDest,
+						progress
+					};
+
+					if (format === 'zip') {
+						cancel = cancelablePump([hashStream, new InternalZipUnpack(unpackOptions)], onPipelineEnd);
+						return;
+					}
+
+					cancel = cancelablePump([
+						hashStream,
+						...decompressCommands[format] ? [new DecompressStream(format)] : [],
+						new InternalUnpack(unpackOptions)
+					], onPipelineEnd);
+				}
+
+				// the number of bytes passed to the extraction, used as the offset of a resumed request
+				let receivedBytes = 0;
+				// when the current response body last received data, including the bytes skipped from its head
+				let lastDataTime;
+
+				// Request the rest of the archive from `offset` bytes. When the server ignores the `Range` header,
+				// the bytes already received are skipped from the head of the full response instead.
+				async function request(offset) {
+					let response;
+
+					try {
+						response = await waitForResponse(fetch(href, offset === 0 ? {headers, cache, cachePath, ...networkOptions} : {
+							headers: {...headers, range: `bytes=${offset}-`},
+							// a partial response must not be stored as a whole archive
+							cache: 'no-store',
+							cachePath,
+							...networkOptions
+						}));
+					} catch (err) {
+						err.retryable = err.code !== 'ENOTCACHED';
+						throw err;
+					}
 
 					if (response.ok !== true) {
-						throw new Error(`${response.status} ${response.statusText}`);
+						throw createStatusError(response);
 					}
 
-					unpackStream.url = response.url;
-					unpackStream.responseHeaders = response.headers;
+					if (!progress.responseHeaders) {
+						progress.url = response.url;
+						progress.responseHeaders = response.headers;
+						startExtraction(options.format || detectFormat(response, href));
+					}
 
-					return response;
+					if (progress.total === null) {
+						progress.total = getTotalLength(response);
+					}
 
-				});
+					currentBody = response.body;
 
-				const pipe = [
-					res.body,
-					new Transform({
-						transform(chunk, encoding, cb) {
-							unpackStream.responseBytes += chunk.length;
-							cb(null, chunk);
-						}
-					}),
-					unpackStream
-				];
+					// where the body should end, to tell a dropped connection from a complete response
+					const size = getTotalLength(response);
 
-				cancel = cancelablePump(pipe, err => {
-					ended = true;
+					if (response.status !== 206) {
+						return {body: response.body, skip: offset, size};
+					}
 
-					if (err) {
-						observer.error(err);
+					const [, start] = contentRangeRe.exec(response.headers.get('content-range')) || [];
+
+					if (start === undefined || Number(start) > offset) {
+						throw new Error(`Requested ${href} from byte ${offset}, but the server responded with an unexpected range ${
+							inspect(response.headers.get('content-range'))
+						}.`);
+					}
+
+					return {body: response.body, skip: offset - Number(start), size};
+				}
+
+				function waitForResponse(fetching) {
+					if (connectTimeout === 0) {
+						return fetching;
+					}
+
+					return new Promise((resolvePromise, reject) => {
+						connectTimer = setTimeout(() => {
+							// discard the response in case it arrives later
+							fetching.then(({body}) => body.destroy(), () => {});
+							reject(createTimeoutError(`No response from ${href} in ${connectTimeout} ms.`, 'ERR_DOWNLOAD_TIMEOUT', true));
+						}, connectTimeout);
+
+						fetching.then(response => {
+							clearTimeout(connectTimer);
+							resolvePromise(response);
+						}, err => {
+							clearTimeout(connectTimer);
+							reject(err);
+						});
+					});
+				}
+
+				// Fail when the body receives no data for `stallTimeout` milliseconds. The skipped bytes count as well,
+				// since a server that ignores the `Range` header sends them again before `responseBytes` increases.
+				function watchStall(body, reject) {
+					if (stallTimeout === 0) {
 						return;
 					}
 
-					observer.complete();
-				});
+					stallTimer = setInterval(() => {
+						if (Date.now() - lastDataTime < stallTimeout) {
+							return;
+						}
+
+						clearInterval(stallTimer);
+						body.destroy();
+						reject(createTimeoutError(`Received no data from ${href} for ${stallTimeout} ms.`, 'ERR_DOWNLOAD_STALLED', true));
+					}, Math.min(stallTimeout, 1000));
+				}
+
+				function writeBody({body, skip, size}) {
+					return new Promise((resolvePromise, reject) => {
+						let remainingSkip = skip;
+
+						lastDataTime = Date.now();
+						watchStall(body, reject);
+
+						body.on('data', chunk => {
+							if (ended) {
+								return;
+							}
+
+							lastDataTime = Date.now();
+
+							if (remainingSkip >= chunk.length) {
+								remainingSkip -= chunk.length;
+								return;
+							}
+
+							const writable = hashStream.write(chunk.slice(remainingSkip));
+
+							receivedBytes += chunk.length - remainingSkip;
+							remainingSkip = 0;
+
+							if (!writable) {
+								body.pause();
+								hashStream.once('drain', () => body.resume());
+							}
+						});
+						body.on('end', () => {
+							clearInterval(stallTimer);
+
+							// Some Node.js versions end the response without an error when the server closes the connection
+							if (size !== null && receivedBytes < size) {
+								const error = new Error(`The connection to ${href} was closed after ${receivedBytes} of ${size} bytes were received.`);
+
+								error.code = 'ERR_DOWNLOAD_INCOMPLETE';
+								error.retryable = true;
+								reject(error);
+								return;
+							}
+
+							resolvePromise();
+						});
+						body.on('error', err => {
+							clearInterval(stallTimer);
+							err.retryable = true;
+							reject(err);
+						});
+					});
+				}
+
+				for (let attempt = 0; ; attempt++) {
+					try {
+						await writeBody(await request(receivedBytes));
+						break;
+					} catch (err) {
+						if (ended) {
+							return;
+						}
+
+						if (!err.retryable || attempt >= retryOptions.retries || cache === 'only-if-cached') {
+							throw err;
+						}
+
+						const delay = Math.min(retryOptions.minTimeout * retryOptions.factor ** attempt, retryOptions.maxTimeout);
+
+						observer.next({
+							retry: {
+								attempt: attempt + 1,
+								retries: retryOptions.retries,
+								delay,
+								offset: receivedBytes,
+								error: err
+							}
+						});
+
+						await new Promise(resolvePromise => {
+							retryTimer = setTimeout(resolvePromise, delay);
+						});
+
+						if (ended) {
+							return;
+						}
+					}
+				}
+
+				if (!ended) {
+					hashStream.end();
+				}
 			} catch (err) {
-				ended = true;
-				observer.error(err);
+				fail(err);
 			}
 		})();
 
-		return function cancelExtract() {
-			if (!cancel) {
-				ended = true;
+		function stop() {
+			ended = true;
+			clearTimeout(downloadTimer);
+			clearTimeout(connectTimer);
+			clearInterval(stallTimer);
+			clearTimeout(retryTimer);
+
+			if (currentBody && typeof currentBody.destroy === 'function') {
+				currentBody.destroy();
+			}
+		}
+
+		function fail(err) {
+			if (ended) {
 				return;
 			}
 
+			stop();
+
+			if (cancel) {
+				cancel();
+			}
+
+			observer.error(err);
+		}
+
+		return function cancelExtract() {
 			if (ended) {
 				return;
 			}
 
-			cancel();
+			stop();
+
+			if (cancel) {
+				cancel();
+			}
 		};
 	});
 };
@@ -1,17 +1,19 @@
 'use strict';
 
 const {execFile} = require('child_process');
+const {randomBytes} = require('crypto');
 const {inspect, promisify} = require('util');
 const {rename, stat} = require('fs');
-const {basename, join} = require('path');
+const {basename, dirname, join, resolve} = require('path');
 
 const feint = require('../feint/index.js');
 const isPlainObj = require('is-plain-obj');
 const Observable = require('zen-observable');
 const once = require('once');
-const spawnStack = require('../spawn-stack/index.js');
+const rimraf = require('rimraf');
 const which = require('which');
 
+const builders = require('../purescript-builders/index.js');
 const buildPurescript = require('../build-purescript/index.js');
 const downloadPurescript = require('../download-purescript/index.js');
 
@@ -22,7 +24,19 @@ function addId(obj, id) {
 	});
 }
 
-const unsupportedOptions = new Set(['filter', 'revision']);
+function createOfflineError(reason) {
+	const error = new Error(`A usable prebuilt PureScript binary is not available from the HTTP cache, and it cannot be built from source in offline mode. ${
+		reason.message
+	}`);
+
+	error.code = 'ERR_OFFLINE_CACHE_MISS';
+	error.reason = reason;
+
+	return error;
+}
+
+const unsupportedOptions = new Set(['dest', 'filter', 'revision']);
+const builderNames = ['auto', ...builders.keys()];
 const initialBinName = `purs${process.platform === 'win32' ? '.exe' : ''}`;
 
 module.exports = function downloadOrBuildPurescript(...args) {
@@ -38,11 +52,6 @@ module.exports = function downloadOrBuildPurescript(...args) {
 
 		const [options = {}] = args;
 		const subscriptions = new Set();
-		const stackCheckResult = {
-			id: 'check-stack',
-			path: 'stack',
-			version: ''
-		};
 
 		if (argLen === 1) {
 			if (!isPlainObj(options)) {
@@ -57,6 +66,18 @@ module.exports = function downloadOrBuildPurescript(...args) {
 				} was provided.`);
 			}
 
+			if (options.offline !== undefined && typeof options.offline !== 'boolean') {
+				throw new TypeError(`Expected \`offline\` option to be a Boolean value, but got ${
+					inspect(options.offline)
+				}.`);
+			}
+
+			if (options.builder !== undefined && !builderNames.includes(options.builder)) {
+				throw new Error(`Expected \`builder\` option to be one of ${
+					builderNames.map(name => `'${name}'`).join(', ')
+				}, but got ${inspect(options.builder)}.`);
+			}
+
 			for (const optionName of unsupportedOptions) {
 				const val = options[optionName];
 
@@ -64,10 +85,33 @@ module.exports = function downloadOrBuildPurescript(...args) {
 					throw new Error(`\`${optionName}\` option is not supported, but ${inspect(val)} was provided to it.`);
 				}
 			}
+
+			// a prebuilt binary cannot substitute for a build of other source, and offline mode never builds
+			if (options.source !== undefined) {
+				for (const optionName of ['version', 'offline']) {
+					if (options[optionName]) {
+						throw new Error(`\`${optionName}\` option cannot be used with \`source\` option, but ${
+							inspect(options[optionName])
+						} was provided.`);
+					}
+				}
+			}
 		}
 
+		// with `auto`, the first builder found in PATH is used, and Stack is the one required when none is found
+		const builderCandidates = options.builder && options.builder !== 'auto' ? [options.builder] : [...builders.keys()];
+		const builderCheckResult = {
+			id: 'check-stack',
+			builder: builderCandidates[0],
+			path: builderCandidates[0],
+			version: ''
+		};
 		const version = options.version || downloadPurescript.defaultVersion;
-		const buildOptions = {revision: `v${version}`, ...options};
+		const buildOptions = {
+			...options.source === undefined ? {revision: `v${version}`} : {},
+			...options,
+			builder: builderCandidates[0]
+		};
 		const binName = options.rename ? options.rename(initialBinName) : initialBinName;
 
 		if (typeof binName !== 'string') {
@@ -81,14 +125,21 @@ module.exports = function downloadOrBuildPurescript(...args) {
 		}
 
 		const cwd = process.cwd();
-		const binPath = join(cwd, binName);
+		const binPath = resolve(cwd, binName);
+		// The binary is downloaded or built in a directory next to the destination, and replaces the existing one
+		// only after it's verified, so that a failed or interrupted installation keeps the previous binary.
+		// Being on the same file system, the replacement is an atomic rename.
+		const tmpDir = join(dirname(binPath), `.${basename(binPath)}-${randomBytes(4).toString('hex')}.tmp`);
+		const tmpBinPath = join(tmpDir, initialBinName);
+
+		buildOptions.binDir = tmpDir;
 
-		// to validate build-purescript arguments beforehand
-		const tmpSubscription = buildPurescript(buildOptions).subscribe({
+		// to validate build-purescript arguments beforehand, whose errors are sent synchronously
+		buildPurescript(buildOptions).subscribe({
 			error(err) {
 				observer.error(err);
 			}
-		});
+		}).unsubscribe();
 
 		function sendError(err, id) {
 			addId(err, id);
@@ -96,23 +147,18 @@ module.exports = function downloadOrBuildPurescript(...args) {
 		}
 
 		const startBuild = feint(() => {
-			if (stackCheckResult.error) {
-				sendError(stackCheckResult.error, 'check-stack');
+			if (builderCheckResult.error) {
+				sendError(builderCheckResult.error, 'check-stack');
 				return;
 			}
 
-			observer.next(stackCheckResult);
+			observer.next(builderCheckResult);
 			observer.next({id: 'check-stack:complete'});
 
 			subscriptions.add(buildPurescript(buildOptions).subscribe({
 				next(progress) {
 					if (progress.id === 'build:complete') {
-						// No need to check `join(cwd, initialBinName) !== binPath`, because:
-						// > If oldpath and newpath are existing hard links referring to
-						// > the same file, then rename() does nothing,
-						// > and returns a success status.
-						// (http://man7.org/linux/man-pages/man2/rename.2.html#DESCRIPTION)
-						rename(join(cwd, initialBinName), binPath, err => {
+						rename(tmpBinPath, binPath, err => {
 							if (err) {
 								sendError(err, 'build');
 								return;
@@ -142,53 +188,77 @@ module.exports = function downloadOrBuildPurescript(...args) {
 			startBuild();
 		};
 
-		which('stack', async (_, stackPath) => {
-			stackCheckResult.path = stackPath;
-
-			try {
-				stackCheckResult.version = (await spawnStack(['--numeric-version'], {timeout: 8000, ...options})).stdout;
-			} catch (err) {
-				stackCheckResult.error = err;
+		// There is nothing to fall back to in offline mode, so the failure ends the whole process.
+		const failOrFallBack = (err, id) => {
+			if (options.offline) {
+				sendError(createOfflineError(err), id);
+				return;
 			}
 
+			addId(err, id);
+
+			observer.next({
+				id: `${id}:fail`,
+				error: err
+			});
+
 			startBuildIfNeeded();
-		});
+		};
+
+		if (!options.offline) {
+			(async () => {
+				const builderPaths = await Promise.all(builderCandidates.map(name => promisify(which)(name).catch(() => null)));
+				const builder = builders.get(builderCandidates[Math.max(builderPaths.findIndex(Boolean), 0)]);
+
+				builderCheckResult.builder = builder.name;
+				builderCheckResult.path = builderPaths[builderCandidates.indexOf(builder.name)] || builder.name;
+				buildOptions.builder = builder.name;
+
+				// Spawning a missing command only fails with ENOENT, but the timer of `timeout` option keeps the process alive
+				if (builderPaths.every(builderPath => builderPath === null)) {
+					builderCheckResult.error = builder.createNotFoundError();
+					startBuildIfNeeded();
+					return;
+				}
+
+				try {
+					builderCheckResult.version = (await builder.spawn(['--numeric-version'], {timeout: 8000, ...options})).stdout;
+				} catch (err) {
+					builderCheckResult.error = err;
+				}
+
+				startBuildIfNeeded();
+			})();
+		}
 
 		const downloadObserver = {
 			next(progress) {
-				progress.id = 'download-binary';
+				progress.id = progress.retry ? 'download-binary:retry' : 'download-binary';
 				observer.next(progress);
 			},
 			error(err) {
 				if (err.code === 'ERR_UNSUPPORTED_ARCH' || err.code === 'ERR_UNSUPPORTED_PLATFORM') {
-					addId(err, 'head');
-
-					observer.next({
-						id: 'head:fail',
-						error: err
-					});
-
-					startBuildIfNeeded();
+					failOrFallBack(err, 'head');
 					return;
 				}
 
-				sendError(err, 'head');
+				sendError(options.offline && err.code === 'ENOTCACHED' ? createOfflineError(err) : err, 'head');
 			},
 			async complete() {
 				observer.next({id: 'download-binary:complete'});
 				observer.next({id: 'check-binary'});
 
 				try {
-					await promisify(execFile)(binPath, ['--version'], {timeout: 8000, ...options});
+					await promisify(execFile)(tmpBinPath, ['--version'], {timeout: 8000, ...options});
 				} catch (err) {
-					addId(err, 'check-binary');
-
-					observer.next({
-						id: 'check-binary:fail',
-						error: err
-					});
+					failOrFallBack(err, 'check-binary');
+					return;
+				}
 
-					startBuildIfNeeded();
+				try {
+					await promisify(rename)(tmpBinPath, binPath);
+				} catch (err) {
+					sendError(err, 'check-binary');
 					return;
 				}
 
@@ -199,36 +269,20 @@ module.exports = function downloadOrBuildPurescript(...args) {
 
 		const completeHead = feint(once(() => {
 			observer.next({id: 'head:complete'});
-			downloadObserver.error = err => {
-				addId(err, 'download-binary');
-
-				observer.next({
-					id: 'download-binary:fail',
-					error: err
-				});
-
-				startBuildIfNeeded();
-			};
+			// an untrusted or incomplete binary only exists in the temporary directory, which is removed in the end
+			downloadObserver.error = err => failOrFallBack(err, 'download-binary');
 		}));
 
 		(async () => {
-			const [stats] = await Promise.all([
-				(async () => {
-					try {
-						return await promisify(stat)(binPath);
-					} catch (err) {
-						if (err.code === 'ERR_INVALID_ARG_VALUE') {
-							observer.error(err);
-						}
-
-						return null;
-					}
-				})(),
-				(async () => {
-					await promisify(setImmediate)();
-					tmpSubscription.unsubscribe();
-				})()
-			]);
+			let stats = null;
+
+			try {
+				stats = await promisify(stat)(binPath);
+			} catch (err) {
+				if (err.code === 'ERR_INVALID_ARG_VALUE') {
+					observer.error(err);
+				}
+			}
 
 			if (observer.closed) {
 				return;
@@ -243,32 +297,46 @@ module.exports = function downloadOrBuildPurescript(...args) {
 				return;
 			}
 
+			// the build starts when both this and the builder check call the feint function
+			if (options.source !== undefined) {
+				startBuildIfNeeded();
+				return;
+			}
+
 			observer.next({id: 'head'});
 			completeHead();
 		})();
 
-		subscriptions.add(downloadPurescript({
-			...options,
-			filter(path, entry) {
-				if (basename(path, '.exe') !== 'purs') {
-					return false;
-				}
+		// the source is built without a prebuilt binary, which is only provided for the official releases
+		if (options.source === undefined) {
+			subscriptions.add(downloadPurescript({
+				...options,
+				...options.offline ? {cache: 'only-if-cached'} : {},
+				// node-tar refuses to extract outside of its destination, which `rename` option may point to
+				dest: tmpDir,
+				filter(path, entry) {
+					if (basename(path, '.exe') !== 'purs') {
+						return false;
+					}
 
-				completeHead();
+					completeHead();
 
-				entry.path = `purescript/${binName}`;
-				entry.header.path = `purescript/${binName}`;
-				entry.absolute = join(cwd, binName);
+					entry.path = `purescript/${initialBinName}`;
+					entry.header.path = `purescript/${initialBinName}`;
+					entry.absolute = tmpBinPath;
 
-				return true;
-			},
-			version
-		}).subscribe(downloadObserver));
+					return true;
+				},
+				version
+			}).subscribe(downloadObserver));
+		}
 
 		return function cancelBuildOrDownloadPurescript() {
 			for (const subscription of subscriptions) {
 				subscription.unsubscribe();
 			}
+
+			rimraf(tmpDir, {glob: false}, () => {});
 		};
 	});
 };
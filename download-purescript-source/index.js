@@ -10,6 +10,7 @@ const Observable = require('zen-observable');
 const BASE_URL = 'https://github.com/purescript/purescript/archive/';
 const DEFAULT_REV = 'v0.12.5';
 const REV_ERROR = `Expected \`revision\` option to be a string of PureScript version or commit hash, for exmaple '${DEFAULT_REV}' and 'ee2fcf'`;
+const SOURCE_MIRROR_ERROR = 'Expected `sourceMirror` option to be a base URL of PureScript source archives or a URL template containing `{revision}`';
 
 const ignoredExtensions = new Set([
 	'.md',
@@ -104,7 +105,34 @@ module.exports = function downloadPurescriptSource(...args) {
 		});
 	}
 
-	return dlTar(`${rev || DEFAULT_REV}.tar.gz`, dir, {...defaultOptions, ...options});
+	const {sourceMirror} = options;
+
+	if (sourceMirror === undefined) {
+		return dlTar(`${rev || DEFAULT_REV}.tar.gz`, dir, {...defaultOptions, ...options});
+	}
+
+	if (typeof sourceMirror !== 'string') {
+		return new Observable(observer => {
+			observer.error(new TypeError(`${SOURCE_MIRROR_ERROR}, but got a non-string value ${util.inspect(sourceMirror)}.`));
+		});
+	}
+
+	// a URL template, for example 'https://example.com/purescript-source/{revision}.tgz'
+	if (sourceMirror.includes('{revision}')) {
+		return dlTar(sourceMirror.replace(/\{revision\}/gu, rev || DEFAULT_REV), dir, {...defaultOptions, ...options});
+	}
+
+	if (!/^https?:\/\//ui.test(sourceMirror)) {
+		return new Observable(observer => {
+			observer.error(new Error(`${SOURCE_MIRROR_ERROR}, but got ${util.inspect(sourceMirror)}.`));
+		});
+	}
+
+	return dlTar(`${rev || DEFAULT_REV}.tar.gz`, dir, {
+		...defaultOptions,
+		...options,
+		baseUrl: sourceMirror.endsWith('/') ? sourceMirror : `${sourceMirror}/`
+	});
 };
 
 Object.defineProperty(module.exports, 'defaultRevision', {
@@ -5,15 +5,23 @@ const {inspect} = require('util');
 const semver = require('semver');
 
 const dlTar = require('../dl-tar/index.js');
+const {pickNetworkOptions} = require('../npm-network-config/index.js');
+const fetch = require('make-fetch-happen');
 const getArch = require('arch');
 const isPlainObj = require('is-plain-obj');
 const Observable = require('zen-observable');
 
-const supportedPlatforms = new Map([
-	['linux', 'linux64'],
-	['darwin', 'macos'],
-	['win32', 'win64']
-]);
+// Searched from top to bottom, so that the native arm64 archives take precedence
+// for the versions that provide them.
+const prebuiltArchives = [
+	{platform: 'linux', arch: 'x64', name: 'linux64'},
+	{platform: 'linux', arch: 'arm64', name: 'linux-arm64', since: '0.15.9'},
+	{platform: 'darwin', arch: 'x64', name: 'macos'},
+	{platform: 'darwin', arch: 'arm64', name: 'macos-arm64', since: '0.15.9'},
+	// older x64 binaries run on Apple Silicon through Rosetta 2
+	{platform: 'darwin', arch: 'arm64', name: 'macos'},
+	{platform: 'win32', arch: 'x64', name: 'win64'}
+];
 
 const unsupportedPlatforms = new Map([
 	['aix', 'AIX'],
@@ -23,38 +31,156 @@ const unsupportedPlatforms = new Map([
 	['sunos', 'Solaris']
 ]);
 
+const checksumAlgorithms = new Map([
+	[40, 'sha1'],
+	[64, 'sha256'],
+	[128, 'sha512']
+]);
+
 const DEFAULT_VERSION = '0.12.5';
 const VERSION_ERROR = `Expected \`version\` option to be a string of PureScript version, for example '${DEFAULT_VERSION}'`;
+const CHECKSUM_ERROR = 'Expected `checksum` option to be a hex-encoded SHA-1, SHA-256 or SHA-512 digest of the archive';
+const checksumRe = /^(?:[\da-f]{40}|[\da-f]{64}|[\da-f]{128})$/ui;
+const DEST_ERROR = 'Expected `dest` option to be a path of the directory where the archive is extracted';
+const MIRROR_ERROR = 'Expected `mirror` option to be a base URL of PureScript releases or a URL template containing `{ext}`';
+const templateRe = /\{(\w+)\}/gu;
 const defaultOptions = {
 	filter: function isPurs(filePath) {
 		return basename(filePath, '.exe') === 'purs';
 	},
 	baseUrl: 'https://github.com/purescript/purescript/releases/download/'
 };
-const arch = getArch();
+const arch = process.arch === 'arm64' ? 'arm64' : getArch();
 
-function createUnsupportedPlatformError() {
-	const error = new Error(`Prebuilt \`purs\` binary is not provided for ${
-		unsupportedPlatforms.get(process.platform)
-	}.`);
+function createUnsupportedError(version) {
+	const archivesForPlatform = prebuiltArchives.filter(archive => archive.platform === process.platform);
+	let error;
 
-	error.code = 'ERR_UNSUPPORTED_PLATFORM';
-	Error.captureStackTrace(error, createUnsupportedPlatformError);
+	if (archivesForPlatform.length === 0) {
+		error = new Error(`Prebuilt \`purs\` binary is not provided for ${
+			unsupportedPlatforms.get(process.platform)
+		}.`);
+		error.code = 'ERR_UNSUPPORTED_PLATFORM';
+	} else {
+		const archiveForLaterVersion = archivesForPlatform.find(archive => archive.arch === arch);
+
+		error = new Error(archiveForLaterVersion ?
+			`The prebuilt PureScript binaries for ${arch} architecture are only provided for ${archiveForLaterVersion.since} and later, but ${version} was requested.` :
+			`The prebuilt PureScript binaries are not provided for ${arch} architecture.`);
+		error.code = 'ERR_UNSUPPORTED_ARCH';
+		error.currentArch = arch;
+	}
+
+	Error.captureStackTrace(error, createUnsupportedError);
 
 	return new Observable(observer => observer.error(error));
 }
 
-module.exports = arch === 'x64' ? function downloadPurescript(...args) {
+function findArchive(version) {
+	return prebuiltArchives.find(archive => archive.platform === process.platform &&
+		archive.arch === arch &&
+		(archive.since === undefined || semver.gte(version, archive.since)));
+}
+
+function checksumToIntegrity(checksum) {
+	return `${checksumAlgorithms.get(checksum.length)}-${Buffer.from(checksum, 'hex').toString('base64')}`;
+}
+
+// `mirror` is either a base URL with the same layout as GitHub releases, or a URL template
+// such as 'https://example.com/purescript/{version}/{archive}.{ext}'
+function getArchiveUrls(archiveName, {version = DEFAULT_VERSION, mirror}) {
+	if (mirror === undefined || !mirror.includes('{')) {
+		return {
+			archive: `v${version}/${archiveName}.tar.gz`,
+			checksum: `v${version}/${archiveName}.sha`
+		};
+	}
+
+	const expand = ext => mirror.replace(templateRe, (placeholder, key) => {
+		const values = {version, archive: archiveName, ext};
+
+		return values[key] === undefined ? placeholder : values[key];
+	});
+
+	return {
+		archive: expand('tar.gz'),
+		checksum: expand('sha')
+	};
+}
+
+async function fetchChecksum(url, options) {
+	const {baseUrl, headers, cache, cachePath, retry} = options;
+	const {href} = new URL(url, baseUrl);
+	const response = await fetch(href, {headers, cache, cachePath, retry, ...pickNetworkOptions(options)});
+
+	if (response.ok !== true) {
+		throw new Error(`Failed to fetch the checksum of the archive from ${href}: ${response.status} ${response.statusText}`);
+	}
+
+	// a .sha file is the output of `shasum`, i.e. '<digest>  <filename>'
+	const [checksum] = (await response.text()).trim().split(/\s/u);
+
+	if (!checksumRe.test(checksum)) {
+		const error = new Error(`Expected ${href} to contain a hex-encoded digest of the archive, but got ${inspect(checksum)}.`);
+
+		error.code = 'ERR_INVALID_CHECKSUM';
+		throw error;
+	}
+
+	return checksum;
+}
+
+function downloadArchive(archiveName, options) {
+	return new Observable(observer => {
+		const urls = getArchiveUrls(archiveName, options);
+		let subscription;
+		let canceled = false;
+
+		(async () => {
+			let {integrity} = options;
+
+			try {
+				if (integrity === undefined) {
+					integrity = checksumToIntegrity(options.checksum === undefined ?
+						await fetchChecksum(urls.checksum, options) :
+						options.checksum);
+				}
+			} catch (err) {
+				observer.error(err);
+				return;
+			}
+
+			if (canceled) {
+				return;
+			}
+
+			subscription = dlTar(urls.archive, options.dest || process.cwd(), {
+				...options,
+				integrity
+			}).subscribe(observer);
+		})();
+
+		return function cancelDownload() {
+			canceled = true;
+
+			if (subscription) {
+				subscription.unsubscribe();
+			}
+		};
+	});
+}
+
+module.exports = function downloadPurescript(...args) {
 	const argLen = args.length;
 
 	if (argLen === 0) {
-		const archiveName = supportedPlatforms.get(process.platform);
+		const archive = findArchive(DEFAULT_VERSION);
 
-		if (!archiveName) {
-			return createUnsupportedPlatformError();
+		if (!archive) {
+			return createUnsupportedError(DEFAULT_VERSION);
 		}
 
-		return dlTar(`v${DEFAULT_VERSION}/${archiveName}.tar.gz`, process.cwd(), defaultOptions);
+		return downloadArchive(archive.name, defaultOptions);
 	} else if (argLen !== 1) {
 		const error = new RangeError(`Expected 0 or 1 argument ([<Object>]), but got ${argLen} arguments.`);
 		error.code = 'ERR_TOO_MANY_ARGS';
@@ -100,8 +226,10 @@ module.exports = arch === 'x64' ? function downloadPurescript(...args) {
 		}
 	}
 
-	if (!supportedPlatforms.has(process.platform)) {
-		return createUnsupportedPlatformError();
+	const archive = findArchive(version || DEFAULT_VERSION);
+
+	if (!archive) {
+		return createUnsupportedError(version || DEFAULT_VERSION);
 	}
 
 	if (options.strip !== undefined && options.strip !== 1) {
@@ -112,21 +240,60 @@ module.exports = arch === 'x64' ? function downloadPurescript(...args) {
 		});
 	}
 
-	const url = `v${version || DEFAULT_VERSION}/${supportedPlatforms.get(process.platform)}.tar.gz`;
+	if (options.dest !== undefined) {
+		if (typeof options.dest !== 'string') {
+			return new Observable(observer => {
+				observer.error(new TypeError(`${DEST_ERROR}, but got a non-string value ${inspect(options.dest)}.`));
+			});
+		}
 
-	return dlTar(url, process.cwd(), {...defaultOptions, ...options});
-} : function downloadPurescript() {
-	if (!supportedPlatforms.has(process.platform)) {
-		return createUnsupportedPlatformError();
+		if (options.dest.length === 0) {
+			return new Observable(observer => {
+				observer.error(new Error(`${DEST_ERROR}, but got '' (empty string).`));
+			});
+		}
 	}
 
-	return new Observable(() => {
-		const error = new Error('The prebuilt PureScript binaries only support 64-bit architectures, but the current system is not 64-bit.');
+	if (options.checksum !== undefined) {
+		if (typeof options.checksum !== 'string') {
+			return new Observable(observer => {
+				observer.error(new TypeError(`${CHECKSUM_ERROR}, but got a non-string value ${inspect(options.checksum)}.`));
+			});
+		}
 
-		error.code = 'ERR_UNSUPPORTED_ARCH';
-		error.currentArch = arch;
+		if (!checksumRe.test(options.checksum)) {
+			return new Observable(observer => {
+				observer.error(new Error(`${CHECKSUM_ERROR}, but got ${inspect(options.checksum)}.`));
+			});
+		}
+	}
 
-		throw error;
+	if (options.checksum !== undefined && options.integrity !== undefined) {
+		return new Observable(observer => {
+			observer.error(new Error('`checksum` and `integrity` options cannot be used together.'));
+		});
+	}
+
+	if (options.mirror !== undefined) {
+		if (typeof options.mirror !== 'string') {
+			return new Observable(observer => {
+				observer.error(new TypeError(`${MIRROR_ERROR}, but got a non-string value ${inspect(options.mirror)}.`));
+			});
+		}
+
+		if (options.mirror.includes('{') ? !options.mirror.includes('{ext}') : !/^https?:\/\//ui.test(options.mirror)) {
+			return new Observable(observer => {
+				observer.error(new Error(`${MIRROR_ERROR}, but got ${inspect(options.mirror)}.`));
+			});
+		}
+	}
+
+	return downloadArchive(archive.name, {
+		...defaultOptions,
+		...options,
+		...options.mirror === undefined || options.mirror.includes('{') ? {} : {
+			baseUrl: options.mirror.endsWith('/') ? options.mirror : `${options.mirror}/`
+		}
 	});
 };
 
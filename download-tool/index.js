@@ -0,0 +1,147 @@
+'use strict';
+
+const {execFile} = require('child_process');
+const {randomBytes} = require('crypto');
+const {inspect, promisify} = require('util');
+const {rename} = require('fs');
+const {basename, dirname, join, resolve} = require('path');
+
+const isPlainObj = require('is-plain-obj');
+const Observable = require('zen-observable');
+const rimraf = require('rimraf');
+const semver = require('semver');
+
+const dlTar = require('../dl-tar/index.js');
+const {pickNetworkOptions} = require('../npm-network-config/index.js');
+const {getArchiveUrl, validateToolDescriptor} = require('../purescript-tools/index.js');
+
+function addId(obj, id) {
+	Object.defineProperty(obj, 'id', {
+		value: id,
+		writable: true
+	});
+
+	return obj;
+}
+
+function createOfflineError(name, reason) {
+	const error = new Error(`A usable prebuilt ${name} binary is not available from the HTTP cache, and it cannot be downloaded in offline mode. ${
+		reason.message
+	}`);
+
+	error.code = 'ERR_OFFLINE_CACHE_MISS';
+	error.reason = reason;
+
+	return error;
+}
+
+module.exports = function downloadTool(...args) {
+	return new Observable(observer => {
+		const argLen = args.length;
+
+		if (argLen !== 1 && argLen !== 2) {
+			throw new RangeError(`Expected 1 or 2 arguments (<Object>[, <Object>]), but got ${
+				argLen === 0 ? 'no' : argLen
+			} arguments.`);
+		}
+
+		const [descriptor, options = {}] = args;
+
+		validateToolDescriptor(descriptor);
+
+		if (!isPlainObj(options)) {
+			throw new TypeError(`Expected an object to set download-tool options, but got ${inspect(options)}.`);
+		}
+
+		if (options.rename !== undefined && typeof options.rename !== 'function') {
+			throw new TypeError(`\`rename\` option must be a function, but ${
+				inspect(options.rename)
+			} was provided.`);
+		}
+
+		if (options.offline !== undefined && typeof options.offline !== 'boolean') {
+			throw new TypeError(`Expected \`offline\` option to be a Boolean value, but got ${
+				inspect(options.offline)
+			}.`);
+		}
+
+		const version = options.version || descriptor.defaultVersion;
+
+		if (!semver.valid(version)) {
+			throw new Error(`Expected \`version\` option to be an exact ${descriptor.name} version, but got ${inspect(version)}.`);
+		}
+
+		const initialBinName = `${descriptor.name}${process.platform === 'win32' ? '.exe' : ''}`;
+		const binName = options.rename ? options.rename(initialBinName) : initialBinName;
+
+		if (typeof binName !== 'string' || binName.length === 0) {
+			throw new TypeError(`Expected \`rename\` option to be a function that returns a new binary name, but returned ${
+				inspect(binName)
+			}.`);
+		}
+
+		const binPath = resolve(process.cwd(), binName);
+		// verified in a directory next to the destination and renamed to it, as download-or-build-purescript does
+		const tmpDir = join(dirname(binPath), `.${basename(binPath)}-${randomBytes(4).toString('hex')}.tmp`);
+		const tmpBinPath = join(tmpDir, initialBinName);
+		let url;
+
+		try {
+			url = getArchiveUrl(descriptor, version);
+		} catch (err) {
+			observer.error(addId(err, 'download-binary'));
+			return;
+		}
+
+		const subscription = dlTar(url, tmpDir, {
+			headers: options.headers,
+			cache: options.offline ? 'only-if-cached' : options.cache,
+			cachePath: options.cachePath,
+			retry: options.retry,
+			connectTimeout: options.connectTimeout,
+			stallTimeout: options.stallTimeout,
+			downloadTimeout: options.downloadTimeout,
+			integrity: options.integrity,
+			...pickNetworkOptions(options),
+			filter(filePath, entry) {
+				if (!descriptor.filter(filePath, entry)) {
+					return false;
+				}
+
+				entry.path = `${descriptor.name}/${initialBinName}`;
+				entry.header.path = `${descriptor.name}/${initialBinName}`;
+				entry.absolute = tmpBinPath;
+
+				return true;
+			}
+		}).subscribe({
+			next(progress) {
+				progress.id = progress.retry ? 'download-binary:retry' : 'download-binary';
+				observer.next(progress);
+			},
+			error(err) {
+				observer.error(addId(options.offline && err.code === 'ENOTCACHED' ? createOfflineError(descriptor.name, err) : err, 'download-binary'));
+			},
+			async complete() {
+				observer.next({id: 'download-binary:complete'});
+				observer.next({id: 'check-binary'});
+
+				try {
+					await promisify(execFile)(tmpBinPath, descriptor.versionArgs, {timeout: 8000});
+					await promisify(rename)(tmpBinPath, binPath);
+				} catch (err) {
+					observer.error(addId(err, 'check-binary'));
+					return;
+				}
+
+				observer.next({id: 'check-binary:complete'});
+				observer.complete();
+			}
+		});
+
+		return function cancelDownload() {
+			subscription.unsubscribe();
+			rimraf(tmpDir, {glob: false}, () => {});
+		};
+	});
+};
@@ -0,0 +1,195 @@
+'use strict';
+
+const {randomBytes} = require('crypto');
+const fs = require('fs');
+const {dirname} = require('path');
+const {inspect} = require('util');
+
+const Observable = require('zen-observable');
+
+const TIMEOUT_ERROR = 'Expected `staleTimeout` option to be a positive number of milliseconds after which a lock that is no longer updated is taken over';
+const defaultStaleTimeout = 30000;
+const retryInterval = 100;
+
+module.exports = function fileLock(...args) {
+	return new Observable(observer => {
+		const argLen = args.length;
+
+		if (argLen !== 1 && argLen !== 2) {
+			throw new RangeError(`Expected 1 or 2 arguments (<string>[, <Object>]), but got ${
+				argLen === 0 ? 'no' : argLen
+			} arguments.`);
+		}
+
+		const [lockPath, options = {}] = args;
+
+		if (typeof lockPath !== 'string') {
+			throw new TypeError(`Expected a path of the lock, but got a non-string value ${inspect(lockPath)}.`);
+		}
+
+		if (lockPath.length === 0) {
+			throw new Error('Expected a path of the lock, but got \'\' (empty string).');
+		}
+
+		const {staleTimeout = defaultStaleTimeout} = options;
+
+		if (typeof staleTimeout !== 'number' || !(staleTimeout > 0)) {
+			throw new TypeError(`${TIMEOUT_ERROR}, but got ${inspect(staleTimeout)}.`);
+		}
+
+		let closed = false;
+		let locked = false;
+		let waiting = false;
+		let retryTimer;
+		let updateTimer;
+
+		function fail(err) {
+			if (!closed) {
+				observer.error(err);
+			}
+		}
+
+		function wait() {
+			if (closed) {
+				return;
+			}
+
+			if (!waiting) {
+				waiting = true;
+				observer.next({id: 'wait-lock', path: lockPath});
+			}
+
+			retryTimer = setTimeout(tryLock, retryInterval);
+		}
+
+		// Removing the stale directory by its path is not atomic, because another waiter may have already
+		// taken it over and created a new lock at the same path. So move the directory away first,
+		// and only remove it when it's still the stale one, otherwise put it back.
+		function takeOver(staleStats) {
+			const stalePath = `${lockPath}.${randomBytes(4).toString('hex')}.stale`;
+
+			fs.rename(lockPath, stalePath, renameErr => {
+				if (renameErr) {
+					if (renameErr.code === 'ENOENT') {
+						tryLock();
+						return;
+					}
+
+					fail(renameErr);
+					return;
+				}
+
+				fs.stat(stalePath, (statErr, stats) => {
+					if (statErr) {
+						fail(statErr);
+						return;
+					}
+
+					if (stats.ino === staleStats.ino && stats.mtimeMs === staleStats.mtimeMs) {
+						fs.rmdir(stalePath, () => tryLock());
+						return;
+					}
+
+					fs.rename(stalePath, lockPath, restoreErr => {
+						if (restoreErr) {
+							fail(restoreErr);
+							return;
+						}
+
+						wait();
+					});
+				});
+			});
+		}
+
+		// A directory is the lock since creating one is atomic on every platform and file system, including network ones.
+		// Its mtime is updated while the lock is held, so that the lock left by a crashed process is taken over later.
+		function tryLock() {
+			fs.mkdir(lockPath, mkdirErr => {
+				if (closed) {
+					if (!mkdirErr) {
+						fs.rmdir(lockPath, () => {});
+					}
+
+					return;
+				}
+
+				if (!mkdirErr) {
+					locked = true;
+					updateTimer = setInterval(() => {
+						const now = new Date();
+						fs.utimes(lockPath, now, now, () => {});
+					}, Math.min(staleTimeout / 2, 2147483647));
+					updateTimer.unref();
+					observer.next({id: 'lock', path: lockPath});
+
+					return;
+				}
+
+				if (mkdirErr.code === 'ENOENT') {
+					fs.mkdir(dirname(lockPath), {recursive: true}, err => {
+						if (err) {
+							fail(err);
+							return;
+						}
+
+						tryLock();
+					});
+
+					return;
+				}
+
+				if (mkdirErr.code !== 'EEXIST') {
+					fail(mkdirErr);
+					return;
+				}
+
+				fs.stat(lockPath, (statErr, stats) => {
+					if (closed) {
+						return;
+					}
+
+					// released in the meantime
+					if (statErr && statErr.code === 'ENOENT') {
+						tryLock();
+						return;
+					}
+
+					if (statErr) {
+						fail(statErr);
+						return;
+					}
+
+					if (Date.now() - stats.mtimeMs > staleTimeout) {
+						takeOver(stats);
+						return;
+					}
+
+					wait();
+				});
+			});
+		}
+
+		tryLock();
+
+		// synchronous, so that the lock is released as soon as the Observable completes, errors or is unsubscribed
+		return function releaseLock() {
+			closed = true;
+			clearTimeout(retryTimer);
+			clearInterval(updateTimer);
+
+			if (!locked) {
+				return;
+			}
+
+			try {
+				fs.rmdirSync(lockPath);
+			} catch (_) {}
+		};
+	});
+};
+
+Object.defineProperty(module.exports, 'defaultStaleTimeout', {
+	enumerable: true,
+	value: defaultStaleTimeout
+});
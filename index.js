@@ -1,33 +1,39 @@
 #!/usr/bin/env node
 'use strict';
 
-const {dirname, resolve} = require('path');
+const {basename, delimiter, dirname, resolve} = require('path');
 const {stat} = require('fs');
 const {promisify} = require('util');
 
 const chalk = require('chalk');
-
-const isPrettyMode = process.stdout && process.stdout.isTTY && !/^1|true$/ui.test(process.env.CI) && !process.env.GITHUB_ACTION;
-chalk.enabled = chalk.enabled && isPrettyMode;
-
 const filesize = require('filesize');
 const cacache = require('cacache');
 const logUpdate = require('log-update');
 const logSymbols = require('log-symbols');
 const minimist = require('minimist');
 const ms = require('ms');
-const once = require('once');
 
 const installPurescript = require('./install-purescript/index.js');
+const installTool = require('./install-tool/index.js');
+const npmNetworkConfig = require('./npm-network-config/index.js');
+const purescriptCache = require('./purescript-cache/index.js');
+const purescriptInstallations = require('./purescript-installations/index.js');
+const readPurescriptProjectVersion = require('./purescript-project-version/index.js');
+const purescriptVersions = require('./purescript-versions/index.js');
+const {parseToolSpec} = require('./purescript-tools/index.js');
 
 const {blue, cyan, dim, magenta, red, strikethrough, underline, yellow} = chalk;
 
 const failure = `${logSymbols.error} `;
-const info = isPrettyMode ? `${logSymbols.info} ` : '';
 const success = `${logSymbols.success} `;
 const warning = `${logSymbols.warning} `;
 const defaultBinName = `purs${process.platform === 'win32' ? '.exe' : ''}`;
+const defaultVersion = '0.13.0';
 const stackArgs = [];
+const reporters = new Set(['default', 'json']);
+const builders = new Set(['auto', 'stack', 'cabal']);
+const commands = new Set(['cache', 'ls', 'uninstall']);
+const cacheCommands = new Set(['ls', 'rm', 'prune', 'clear', 'verify']);
 const filesizeOptions = {
 	base: 10,
 	round: 2,
@@ -35,15 +41,36 @@ const filesizeOptions = {
 };
 const argv = minimist(process.argv.slice(2), {
 	boolean: [
+		'frozen-lockfile',
+		'global',
 		'help',
+		'keep-build-dir',
+		'lockfile',
+		'offline',
+		'remove-cache',
 		'version'
 	],
 	string: [
+		'build-dir',
+		'builder',
+		'ghc-options',
+		'jobs',
 		'name',
-		'purs-ver'
+		'keep',
+		'memory-limit',
+		'mirror',
+		'prefix',
+		'purs-ver',
+		'reporter',
+		'retries',
+		'source',
+		'source-mirror',
+		'tool'
 	],
 	default: {
-		'purs-ver': '0.13.0'
+		builder: 'auto',
+		lockfile: true,
+		reporter: 'default'
 	},
 	unknown(flag) {
 		if (!installPurescript.supportedBuildFlags.has(flag)) {
@@ -54,25 +81,97 @@ const argv = minimist(process.argv.slice(2), {
 	}
 });
 
+const isPrettyMode = argv.reporter !== 'json' && process.stdout && process.stdout.isTTY && !/^1|true$/ui.test(process.env.CI) && !process.env.GITHUB_ACTION;
+chalk.enabled = chalk.enabled && isPrettyMode;
+
+const info = isPrettyMode ? `${logSymbols.info} ` : '';
+
 if (argv.help) {
 	console.log(`install-purescript v${require('./package.json').version}
 Install PureScript to the current working directory
 
 Usage:
 install-purescript [options]
+install-purescript ls [options]
+install-purescript uninstall [<version>] [options]
+install-purescript cache <command> [options]
 
 Options:
---purs-ver <string> Specify PureScript version
-                        Default: ${installPurescript.defaultVersion}
+--purs-ver <string> Specify PureScript version, a semver range or a tag
+                        ('latest' or 'latest-prerelease')
+                        Default: the version the project specifies, or ${defaultVersion}
 --name     <string> Change a binary name
                         Default: 'purs.exe' on Windows, 'purs' on others
                         Or, if the current working directory contains package.json
                         with \`bin\` field specifying a path of \`purs\` command,
                         this option defaults to its value
+--offline           Only restore a cached binary, without accessing the network
+--retries  <number> Retry a failed archive download this many times, resuming it
+                        Default: 3
+--mirror   <string> Download prebuilt binaries from a mirror, either a base URL
+                        or a template like 'https://host/{version}/{archive}.{ext}'
+                        Default: $PURESCRIPT_INSTALLER_MIRROR, or GitHub releases
+--source-mirror <string>
+                    Download the source from a mirror, either a base URL
+                        or a template like 'https://host/{revision}.tar.gz'
+                        Default: $PURESCRIPT_INSTALLER_SOURCE_MIRROR, or GitHub
+--source   <string> Build the binary from a local directory, a tarball or
+                        'git+https://host/repo.git#ref' of PureScript source,
+                        for example a patched compiler, instead of a release
+                        It's never cached, and recorded as a build in the lockfile
+--builder  <string> Build from source with 'stack' or 'cabal', or 'auto' to use
+                        the one found in PATH, preferring Stack
+                        Default: auto
+--build-dir <string>
+                    Build from source in this directory and keep it, so that
+                        a failed build continues from where it stopped
+                        Default: a directory per revision in the cache directory,
+                        removed after a successful build
+--keep-build-dir    Don't remove the default build directory after a successful build
+--jobs     <number> Build this many packages in parallel when building from source
+                        Default: the builder's own setting
+--ghc-options <string>
+                    Pass these options to GHC when building from source,
+                        for example --ghc-options='-O0 -Wwarn'
+--memory-limit <size>
+                    Limit the heap size of GHC when building from source,
+                        for example --memory-limit=4G
+--global            Install into a shared directory instead of the current
+                        working directory, keeping every installed version,
+                        and create a \`purs\` command that runs the version
+                        the nearest project specifies
+--prefix   <string> Use this directory for --global, implying --global
+                        Default: ${purescriptVersions.defaultPrefix}
+--no-lockfile       Don't write ${installPurescript.lockfileName}
+--frozen-lockfile   Install the version recorded in ${installPurescript.lockfileName},
+                        and fail if the binary doesn't match its integrity
+--tool     <string> Also install a tool, for example 'spago@0.21.0'
+                        Can be specified multiple times
+--reporter <string> Change the output format
+                        'default': human-readable progress
+                        'json': one JSON object per event (NDJSON)
 --help,             Print usage information
 --version           Print version
 
-Also, these flags are passed to \`stack install\` command if provided:
+Commands:
+ls                  List the binaries installed to the current working directory,
+                        or the versions installed with --global or --prefix,
+                        with the versions they report
+uninstall           Remove the binary at the path of --name and the lockfile
+uninstall <version> Remove a version installed with --global or --prefix
+--remove-cache      Also remove the cached binary of the uninstalled version
+
+Cache commands:
+ls                  List the cached binaries
+rm <version>        Remove the cached binaries of a PureScript version,
+                        or of a tool with <name>@<version>
+prune --keep <n>    Only keep the <n> newest versions of each binary
+clear               Remove all the cached binaries
+verify              Verify the cache and remove corrupted data
+                        With --reporter json, the result is printed as JSON
+
+Also, these flags are passed to \`stack install\` command if provided.
+They cannot be used with --builder=cabal:
 ${[...installPurescript.supportedBuildFlags].join('\n')}
 `);
 
@@ -84,6 +183,101 @@ if (argv.version) {
 	process.exit();
 }
 
+if (!reporters.has(argv.reporter)) {
+	console.error(`Unknown reporter ${argv.reporter}. Supported reporters: ${[...reporters].join(', ')}`);
+	process.exit(1);
+}
+
+if (!builders.has(argv.builder)) {
+	console.error(`Unknown builder ${argv.builder}. Supported builders: ${[...builders].join(', ')}`);
+	process.exit(1);
+}
+
+if (argv.retries !== undefined && !/^\d+$/u.test(argv.retries)) {
+	console.error(`Expected --retries to be a non-negative integer, but got ${argv.retries}.`);
+	process.exit(1);
+}
+
+if (argv.jobs !== undefined && !/^[1-9]\d*$/u.test(argv.jobs)) {
+	console.error(`Expected --jobs to be a positive integer, but got ${argv.jobs}.`);
+	process.exit(1);
+}
+
+if (argv.prefix === '') {
+	console.error('Expected --prefix to be a path of the directory to install PureScript versions in, but got \'\' (empty string).');
+	process.exit(1);
+}
+
+// the directory of every version and the shim with --global or --prefix, otherwise `null`
+const globalPrefix = argv.prefix === undefined ? argv.global && purescriptVersions.defaultPrefix || null : resolve(argv.prefix);
+
+if (argv.source === '') {
+	console.error('Expected --source to be a path of a local directory or tarball of PureScript source, or a git URL, but got \'\' (empty string).');
+	process.exit(1);
+}
+
+// a build of other source is neither a release version nor reproducible from the lockfile
+if (argv.source !== undefined) {
+	for (const flag of ['purs-ver', 'frozen-lockfile', 'offline', 'source-mirror']) {
+		if (argv[flag]) {
+			console.error(`--${flag} cannot be used with --source.`);
+			process.exit(1);
+		}
+	}
+}
+
+if (globalPrefix) {
+	for (const flag of ['name', 'frozen-lockfile', 'tool', 'source']) {
+		if (argv[flag]) {
+			console.error(`--${flag} cannot be used with --global or --prefix.`);
+			process.exit(1);
+		}
+	}
+}
+
+// The version is taken from the first of --purs-ver, the lockfile with --frozen-lockfile,
+// the project files and the default version
+let projectVersion = null;
+
+if (argv['purs-ver'] === undefined && !argv['frozen-lockfile'] && argv.source === undefined) {
+	if (!commands.has(argv._[0])) {
+		try {
+			projectVersion = readPurescriptProjectVersion();
+		} catch (err) {
+			console.error(err.message);
+			process.exit(1);
+		}
+	}
+
+	argv['purs-ver'] = projectVersion ? projectVersion.version : defaultVersion;
+}
+
+const retry = argv.retries === undefined ? undefined : Number(argv.retries);
+let networkConfig;
+let tools;
+
+// proxy and TLS settings of npm, available when this command runs inside npm scripts
+try {
+	networkConfig = npmNetworkConfig();
+} catch (err) {
+	console.error(err.message);
+	process.exit(1);
+}
+
+try {
+	tools = [].concat(argv.tool || []).map(spec => {
+		const tool = parseToolSpec(spec);
+
+		return {
+			...tool,
+			path: resolve(`${tool.descriptor.name}${process.platform === 'win32' ? '.exe' : ''}`)
+		};
+	});
+} catch (err) {
+	console.error(err.message);
+	process.exit(1);
+}
+
 if (!argv.name) {
 	try {
 		const {purs} = require(resolve('package.json')).bin;
@@ -108,12 +302,96 @@ class TaskGroup extends Map {
 	}
 }
 
-const taskGroups = [
+const createLockfileTasks = () => {
+	if (globalPrefix) {
+		return [
+			[
+				'write-shim',
+				{
+					head: `Create \`purs\` command that switches the version in ${magenta(dirname(purescriptVersions.getShimPath({prefix: globalPrefix})))}`,
+					allowFailure: true
+				}
+			]
+		];
+	}
+
+	if (argv['frozen-lockfile']) {
+		return [
+			[
+				'check-lockfile',
+				{
+					head: `Verify the binary matches ${installPurescript.lockfileName}`
+				}
+			]
+		];
+	}
+
+	if (!argv.lockfile) {
+		return [];
+	}
+
+	return [
+		[
+			'write-lockfile',
+			{
+				head: `Write ${installPurescript.lockfileName}`,
+				allowFailure: true
+			}
+		]
+	];
+};
+
+const createBuildTaskGroup = version => new TaskGroup([
+	[
+		'check-stack',
+		{
+			head: argv.builder === 'auto' ?
+				'Check if \'stack\' or \'cabal\' command is available' :
+				`Check if '${argv.builder}' command is available`,
+			status: 'processing',
+			noClear: true
+		}
+	],
+	[
+		'download-source',
+		{
+			head: argv.source === undefined ?
+				`Download the PureScript ${cyan(version)} source` :
+				`Prepare the PureScript source from ${magenta(argv.source)}`,
+			status: 'processing'
+		}
+	],
+	[
+		'setup',
+		{
+			head: 'Ensure the appropriate GHC is installed'
+		}
+	],
+	[
+		'build',
+		{
+			head: 'Build a binary from source'
+		}
+	],
+	// a build of other source is never cached
+	...argv.source === undefined ? [
+		[
+			'write-cache',
+			{
+				head: 'Save the built binary to the npm cache directory',
+				allowFailure: true
+			}
+		]
+	] : [],
+	...createLockfileTasks()
+]);
+
+const createTaskGroups = version => [
 	new TaskGroup([
 		[
 			'search-cache',
 			{
-				head: ''
+				head: `Search the cache for a ${cyan(version)} binary`
 			}
 		]
 	]),
@@ -121,7 +399,7 @@ const taskGroups = [
 		[
 			'restore-cache',
 			{
-				head: `Restore the cached ${cyan(argv['purs-ver'])} binary for ${process.platform}`
+				head: `Restore the cached ${cyan(version)} binary for ${process.platform}`
 			}
 		],
 		[
@@ -129,13 +407,14 @@ const taskGroups = [
 			{
 				head: 'Verify the restored binary works correctly'
 			}
-		]
+		],
+		...createLockfileTasks()
 	]),
 	new TaskGroup([
 		[
 			'head',
 			{
-				head: `Check if a prebuilt ${cyan(argv['purs-ver'])} binary is provided for ${process.platform}`,
+				head: `Check if a prebuilt ${cyan(version)} binary is provided for ${process.platform}`,
 				status: 'processing'
 			}
 		],
@@ -157,52 +436,86 @@ const taskGroups = [
 				head: 'Save the downloaded binary to the npm cache directory',
 				allowFailure: true
 			}
+		],
+		...createLockfileTasks()
+	]),
+	createBuildTaskGroup(version)
+];
+
+const createToolTaskGroups = (name, version) => [
+	new TaskGroup([
+		[
+			'search-cache',
+			{
+				head: `Search the cache for a ${name} ${cyan(version)} binary`
+			}
 		]
 	]),
 	new TaskGroup([
 		[
-			'check-stack',
+			'restore-cache',
 			{
-				head: 'Check if \'stack\' command is available',
-				status: 'processing',
-				noClear: true
+				head: `Restore the cached ${name} ${cyan(version)} binary for ${process.platform}`
 			}
 		],
 		[
-			'download-source',
+			'check-binary',
 			{
-				head: `Download the PureScript ${cyan(argv['purs-ver'])} source`,
-				status: 'processing'
+				head: `Verify the restored ${name} binary works correctly`
 			}
-		],
+		]
+	]),
+	new TaskGroup([
 		[
-			'setup',
+			'download-binary',
 			{
-				head: 'Ensure the appropriate GHC is installed'
+				head: `Download the prebuilt ${name} ${cyan(version)} binary for ${process.platform}`,
+				status: 'processing'
 			}
 		],
 		[
-			'build',
+			'check-binary',
 			{
-				head: 'Build a binary from source'
+				head: `Verify the prebuilt ${name} binary works correctly`
 			}
 		],
 		[
 			'write-cache',
 			{
-				head: 'Save the built binary to the npm cache directory',
+				head: `Save the downloaded ${name} binary to the npm cache directory`,
 				allowFailure: true
 			}
 		]
 	])
 ];
 
-const path = resolve(argv.name);
+// with --source, neither the version is resolved nor a prebuilt binary is tried
+const taskGroups = argv.source === undefined ? [
+	new TaskGroup([
+		[
+			'resolve-version',
+			{
+				head: argv['frozen-lockfile'] ?
+					`Read the PureScript version from ${installPurescript.lockfileName}` :
+					`Resolve ${cyan(argv['purs-ver'])} to a PureScript version`
+			}
+		]
+	]),
+	...createTaskGroups(argv['purs-ver'])
+] : [createBuildTaskGroup()];
+
+// with --global, the binary is put in the directory of the resolved version
+const getPursPath = () => globalPrefix ?
+	purescriptVersions.getBinPath(resolvedVersion, {prefix: globalPrefix}) :
+	resolve(argv.name);
 const spinnerFrames = [4, 18, 50, 49, 53, 45, 31, 32, 0, 8].map(code => String.fromCharCode(10247 + code));
 let time = Date.now();
 let frame = 0;
 let loop = 0;
 let cacheWritten = false;
+let resolvedVersion = argv['purs-ver'];
+// the installation in progress, see `installations` below
+let current;
 const render = isPrettyMode ? () => {
 	const lines = [];
 
@@ -277,12 +590,8 @@ const render = isPrettyMode ? () => {
 	}
 };
 
-const initialize = once(firstEvent => {
-	if (firstEvent.id === 'search-cache' && firstEvent.found) {
-		console.log(`${info}Found a cache at ${magenta(dirname(firstEvent.path))}\n`);
-	}
-
-	if (!isPrettyMode) {
+function initialize() {
+	if (!isPrettyMode || loop) {
 		return;
 	}
 
@@ -295,7 +604,12 @@ const initialize = once(firstEvent => {
 
 		render();
 	}, 40);
-});
+}
+
+function stopRendering() {
+	clearInterval(loop);
+	loop = 0;
+}
 
 function calcDuration(task) {
 	const newTime = Date.now();
@@ -323,17 +637,40 @@ function showError(erroredTask, err) {
 		erroredTask.subhead = erroredCommand;
 	}
 
-	if (err.code === 'ERR_UNSUPPORTED_PLATFORM' || err.code === 'ERR_UNSUPPORTED_ARCH') {
-		const environment = err.code === 'ERR_UNSUPPORTED_PLATFORM' ? process.platform : `${err.currentArch} architecture`;
-		erroredTask.message = `No prebuilt PureScript binary is provided for ${environment}.`;
-	} else if (err.INSTALL_URL) {
-		erroredTask.message = `${'\'stack\' command is required for building PureScript from source, ' +
-      'but it\'s not found in your PATH. Make sure you have installed Stack and try again.\n\n' +
+	if (err.code === 'ERR_UNSUPPORTED_PLATFORM' && current.name === 'purs') {
+		erroredTask.message = `No prebuilt PureScript binary is provided for ${process.platform}.`;
+	} else if (err.code === 'ERR_UNSUPPORTED_PLATFORM' || err.code === 'ERR_UNSUPPORTED_ARCH') {
+		erroredTask.message = err.message;
+	} else if (err.code === 'ERR_OFFLINE_CACHE_MISS') {
+		erroredTask.message = err.message;
+	} else if (['ERR_LOCKFILE_NOT_FOUND', 'ERR_INVALID_LOCKFILE', 'ERR_LOCKFILE_MISMATCH'].includes(err.code)) {
+		erroredTask.message = err.message;
+	} else if (err.code === 'ERR_DOWNLOAD_STALLED' || err.code === 'ERR_DOWNLOAD_TIMEOUT') {
+		erroredTask.message = err.message;
+	} else if (err.code === 'ERR_CHECKSUM_MISMATCH') {
+		erroredTask.message = `The downloaded archive doesn't match the expected checksum.\n  expected: ${err.expected}\n  actual:   ${err.actual}`;
+	} else if (err.INSTALL_URL && erroredCommand && erroredCommand.startsWith('cabal')) {
+		erroredTask.message = `${'\'cabal\' command is required for building PureScript from source with --builder=cabal, ' +
+      'but it\'s not found in your PATH. Make sure you have installed cabal and GHC, for example with GHCup, and try again.\n\n' +
       '→ '}${underline(err.INSTALL_URL)}`;
+	} else if (err.INSTALL_URL) {
+		erroredTask.message = `${argv.builder === 'auto' ?
+			'Neither \'stack\' nor \'cabal\' command is found in your PATH, but one of them is required for building PureScript from source. ' :
+			'\'stack\' command is required for building PureScript from source, but it\'s not found in your PATH. '
+		}Make sure you have installed Stack and try again.\n\n→ ${underline(err.INSTALL_URL)}`;
+	} else if (err.logFile) {
+		// the error message of a failed build contains its whole output, so show only the end of it
+		erroredTask.message = `${err.message.split('\n')[0]}\n\n${
+			err.logTail.map(line => `  ${line}`).join('\n')
+		}\n\nThe full build log is written to ${err.logFile}`;
 	} else {
 		erroredTask.message = err.stack;
 	}
 
+	if (err.buildDir) {
+		erroredTask.message += `\n\nThe build directory is kept at ${err.buildDir}, and the next build continues from it.`;
+	}
+
 	erroredTask.message += '\n\nSee troubleshooting suggestions in https://github.com/purescript/purescript/blob/master/INSTALL.md';
 
 	calcDuration(erroredTask);
@@ -345,8 +682,27 @@ function showError(erroredTask, err) {
 	}
 }
 
-function downloadSummary({ max, bytes }) {
-	return String(Math.round(100 * bytes / max)) + "% of " + filesize(max, filesizeOptions);
+// The overall progress of a download, with the throughput since the task started to receive data
+function downloadSummary(task, {bytes, total}) {
+	const now = Date.now();
+
+	if (task.downloadStartTime === undefined) {
+		task.downloadStartTime = now;
+		task.downloadStartBytes = bytes;
+	}
+
+	const elapsedSeconds = (now - task.downloadStartTime) / 1000;
+	const bytesPerSecond = elapsedSeconds > 0 ? (bytes - task.downloadStartBytes) / elapsedSeconds : 0;
+	const throughput = bytesPerSecond > 0 ? `, ${filesize(bytesPerSecond, filesizeOptions)}/s` : '';
+
+	// without `Content-Length`, neither the percentage nor the ETA is known
+	if (total === null || total === undefined) {
+		return `${filesize(bytes, filesizeOptions)}${throughput}`;
+	}
+
+	const eta = bytesPerSecond > 0 && bytes < total ? `, ${ms(Math.ceil((total - bytes) / bytesPerSecond) * 1000)} left` : '';
+
+	return `${Math.min(Math.floor(100 * bytes / total), 100)}% of ${filesize(total, filesizeOptions)}${throughput}${eta}`;
 }
 
 function ttyTruncate(msg) {
@@ -362,16 +718,98 @@ function ttyTruncate(msg) {
 	}
 }
 
-installPurescript({
-	args: stackArgs,
-	rename: () => argv.name,
-	version: argv['purs-ver'],
-	headers: {
-		'user-agent': 'purescript-installer (https://github.com/purescript/npm-installer)'
+function writeJson(value) {
+	process.stdout.write(`${JSON.stringify({time: Date.now(), ...value})}\n`);
+}
+
+function serializeError(err) {
+	return {
+		code: err.code === undefined ? null : err.code,
+		id: err.id === undefined ? null : err.id,
+		message: err.message,
+		...err.logFile === undefined ? {} : {logFile: err.logFile}
+	};
+}
+
+const jsonReporter = {
+	next(event) {
+		const value = current.name === 'purs' ? {...event} : {...event, tool: current.name};
+
+		if (event.id === 'resolve-version') {
+			resolvedVersion = event.version;
+		}
+
+		if (event.error) {
+			value.error = serializeError(event.error);
+		}
+
+		if (event.retry) {
+			value.retry = {...event.retry, error: serializeError(event.retry.error)};
+		}
+
+		// `entry` is a tar.ReadEntry stream and `response.headers` is a Headers object,
+		// so pick the properties that make sense as progress information
+		if (event.entry) {
+			value.entry = {
+				path: event.entry.path,
+				size: event.entry.size,
+				remain: event.entry.remain
+			};
+		}
+
+		if (event.response) {
+			value.response = {
+				url: event.response.url,
+				bytes: event.response.bytes,
+				total: event.response.total
+			};
+		}
+
+		writeJson(value);
+	},
+	error(err) {
+		writeJson({
+			id: 'error',
+			...current.name === 'purs' ? {} : {tool: current.name},
+			error: serializeError(err)
+		});
+
+		process.exitCode = 1;
+	},
+	complete() {
+		if (installations.length !== 0) {
+			installNext();
+			return;
+		}
+
+		writeJson({
+			id: 'complete',
+			path: getPursPath(),
+			version: resolvedVersion,
+			...tools.length === 0 ? {} : {
+				tools: tools.map(({descriptor, version, path: toolPath}) => ({
+					name: descriptor.name,
+					path: toolPath,
+					version
+				}))
+			}
+		});
 	}
-}).subscribe({
+};
+
+const defaultReporter = {
 	next(event) {
-		initialize(event);
+		initialize();
+
+		// not a task, since the lock is usually free
+		if (event.id === 'wait-lock') {
+			if (isPrettyMode) {
+				logUpdate.clear();
+			}
+
+			console.log(`${info}Waiting for another installation to release ${magenta(event.path)}\n`);
+			return;
+		}
 
 		const task = getCurrentTask(event.id.replace(/:.*$/u, ''));
 
@@ -387,12 +825,64 @@ installPurescript({
 				logUpdate.done();
 			}
 
+			const restoreFailed = taskGroups[0].has('restore-cache');
+
 			taskGroups.shift();
-			console.log(`${blue('↓')} ${taskGroups.length === 2 ? 'Reinstall a binary since the cache is broken' : 'Fallback: building from source'}\n`);
+			console.log(`${blue('↓')} ${restoreFailed ? 'Reinstall a binary since the cache is broken' : 'Fallback: building from source'}\n`);
+
+			return;
+		}
+
+		if (event.id.endsWith(':retry')) {
+			const {attempt, retries, delay, error} = event.retry;
+			const retryMessage = `Retrying (${attempt}/${retries}) in ${ms(delay)}: ${error.message}`;
+
+			if (!isPrettyMode) {
+				console.log(`[ RETRY ] ${task.head}\n  ${retryMessage}`);
+				return;
+			}
+
+			task.status = 'processing';
+			task.message = retryMessage;
+			render();
+
+			return;
+		}
+
+		if (event.id === 'resolve-version') {
+			resolvedVersion = event.version;
+			task.status = 'done';
+			task.head = event.lockfile ?
+				`Read ${cyan(event.version)} from ${installPurescript.lockfileName}` :
+				`Resolve ${cyan(event.range)} to ${cyan(event.version)}`;
+			calcDuration(task);
+			render();
+
+			if (isPrettyMode) {
+				logUpdate.done();
+			}
 
+			taskGroups.splice(0, taskGroups.length, ...createTaskGroups(event.version));
 			return;
 		}
 
+		if (event.id === 'search-cache' && event.found) {
+			if (isPrettyMode) {
+				logUpdate.clear();
+			}
+
+			console.log(`${info}Found a cache at ${magenta(dirname(event.path))}\n`);
+		}
+
+		// cabal expects GHC to be installed already, so its setup step builds the dependencies instead
+		if (event.id === 'check-stack' && event.builder === 'cabal') {
+			taskGroups[0].get('setup').head = 'Build the dependencies with cabal';
+		}
+
+		if (event.id === 'download-source:complete' && event.reused) {
+			task.head = 'Reuse the PureScript source downloaded for the previous build';
+		}
+
 		if (event.id.endsWith(':complete')) {
 			task.status = 'done';
 			calcDuration(task);
@@ -439,33 +929,28 @@ installPurescript({
 			task.subhead = event.response.url;
 			task.status = 'processing';
 
-			task.message = downloadSummary({
-				max: event.entry.size,
-				bytes: event.entry.size - event.entry.remain
-			});
+			task.message = downloadSummary(task, event.response);
 
 			return;
 		}
 
-		if (event.id === 'download-source') {
+		// a local `--source` is copied without a response
+		if (event.id === 'download-source' && event.response) {
 			task.subhead = event.response.url;
 			task.status = 'processing';
 
-			task.message = downloadSummary({
-				max: event.entry.size,
-				bytes: event.entry.size - event.entry.remain
-			});
+			task.message = downloadSummary(task, event.response);
 
 			return;
 		}
 
 		if (event.id === 'check-stack') {
-			task.message = `${event.version} found at ${event.path}`;
+			task.message = `${event.builder} ${event.version} found at ${event.path}`;
 			return;
 		}
 	},
 	error(err) {
-		clearInterval(loop);
+		stopRendering();
 
 		if (err.id) {
 			const task = getCurrentTask(err.id);
@@ -479,7 +964,7 @@ installPurescript({
 	},
 	async complete() {
 		render();
-		clearInterval(loop);
+		stopRendering();
 
 		if (isPrettyMode) {
 			logUpdate.done();
@@ -488,16 +973,303 @@ installPurescript({
 		}
 
 		const [{size: bytes}, {path: cachePath, size: cacheBytes}] = await Promise.all([
-			promisify(stat)(path),
-			cacheWritten ? cacache.get.info(installPurescript.defaultCacheRootDir, installPurescript.cacheKey) : {}
+			promisify(stat)(current.path),
+			cacheWritten ? cacache.get.info(installPurescript.defaultCacheRootDir, current.getCacheKey()) : {}
 		]);
 
-		console.log(`Installed to ${magenta(path)} ${dim(filesize(bytes, filesizeOptions))}`);
+		console.log(`Installed to ${magenta(current.path)} ${dim(filesize(bytes, filesizeOptions))}`);
 
 		if (cachePath) {
 			console.log(`Cached to ${magenta(dirname(cachePath))} ${dim(filesize(cacheBytes, filesizeOptions))}`);
 		}
 
+		if (globalPrefix && current.name === 'purs') {
+			const shimDir = dirname(purescriptVersions.getShimPath({prefix: globalPrefix}));
+
+			if (!(process.env.PATH || '').split(delimiter).some(dir => dir && resolve(dir) === shimDir)) {
+				console.log(`${info}Add ${magenta(shimDir)} to PATH to run the installed versions with \`purs\` command`);
+			}
+		}
+
 		console.log();
+		installNext();
 	}
-});
+};
+
+const headers = {
+	'user-agent': 'purescript-installer (https://github.com/purescript/npm-installer)'
+};
+
+// PureScript is installed first, then the tools specified with `--tool` in order
+const installations = [
+	{
+		name: 'purs',
+		get path() {
+			return getPursPath();
+		},
+		getCacheKey: () => installPurescript.getCacheKey(resolvedVersion),
+		start: () => installPurescript({
+			args: stackArgs,
+			builder: argv.builder,
+			buildDir: argv['build-dir'],
+			keepBuildDir: argv['keep-build-dir'],
+			jobs: argv.jobs === undefined ? undefined : Number(argv.jobs),
+			ghcOptions: argv['ghc-options'],
+			memoryLimit: argv['memory-limit'],
+			version: argv['purs-ver'],
+			offline: argv.offline,
+			mirror: argv.mirror || process.env.PURESCRIPT_INSTALLER_MIRROR || undefined,
+			...argv.source === undefined ? {
+				sourceMirror: argv['source-mirror'] || process.env.PURESCRIPT_INSTALLER_SOURCE_MIRROR || undefined
+			} : {source: argv.source},
+			...globalPrefix ? {prefix: globalPrefix} : {
+				rename: () => argv.name,
+				lockfile: argv.lockfile,
+				frozenLockfile: argv['frozen-lockfile']
+			},
+			retry,
+			headers,
+			...networkConfig
+		})
+	},
+	...tools.map(({descriptor, version, path: toolPath}) => ({
+		name: descriptor.name,
+		path: toolPath,
+		taskGroups: createToolTaskGroups(descriptor.name, version),
+		getCacheKey: () => installTool.getCacheKey(descriptor.name, version),
+		start: () => installTool(descriptor, {
+			version,
+			offline: argv.offline,
+			retry,
+			headers,
+			...networkConfig
+		})
+	}))
+];
+
+function installNext() {
+	current = installations.shift();
+
+	if (!current) {
+		return;
+	}
+
+	if (current.taskGroups) {
+		taskGroups.splice(0, taskGroups.length, ...current.taskGroups);
+	}
+
+	time = Date.now();
+	cacheWritten = false;
+	current.start().subscribe(argv.reporter === 'json' ? jsonReporter : defaultReporter);
+}
+
+function printRemovedEntries({removed, reclaimedSize}) {
+	if (removed.length === 0) {
+		console.log('No cached binaries to remove.');
+		return;
+	}
+
+	for (const {name, version, platform, arch} of removed) {
+		console.log(`Removed ${name} ${cyan(version)} for ${platform}-${arch}`);
+	}
+
+	console.log(`Reclaimed ${filesize(reclaimedSize, filesizeOptions)}`);
+}
+
+function printCacheCommandResult(command, result) {
+	if (command === 'ls') {
+		if (result.length === 0) {
+			console.log(`No cached binaries in ${magenta(installPurescript.defaultCacheRootDir)}`);
+			return;
+		}
+
+		const rows = result.map(({name, version, platform, arch, size, time: cachedTime}) => [
+			name,
+			version,
+			`${platform}-${arch}`,
+			filesize(size, filesizeOptions),
+			new Date(cachedTime).toISOString()
+		]);
+		const widths = rows[0].map((_, index) => Math.max(...rows.map(row => row[index].length)));
+
+		for (const row of rows) {
+			console.log(row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd());
+		}
+
+		return;
+	}
+
+	if (command === 'rm' || command === 'prune') {
+		printRemovedEntries(result);
+		return;
+	}
+
+	if (command === 'clear') {
+		console.log(`Removed ${result.removed.length} cached binaries from ${magenta(installPurescript.defaultCacheRootDir)}`);
+		return;
+	}
+
+	console.log(`Verified ${result.verifiedContent} cached files ${dim(`(${ms(result.runTime.total)})`)}`);
+
+	if (result.badContentCount !== 0 || result.missingContent !== 0) {
+		console.log(`${warning}Removed ${result.badContentCount} corrupted and ${result.missingContent} missing files`);
+	}
+
+	if (result.reclaimedCount !== 0) {
+		console.log(`Reclaimed ${filesize(result.reclaimedSize, filesizeOptions)} of ${result.reclaimedCount} unused files`);
+	}
+}
+
+async function runCacheCommand(command, args) {
+	if (!cacheCommands.has(command)) {
+		console.error(`Unknown cache command ${command}. Supported commands: ${[...cacheCommands].join(', ')}`);
+		process.exitCode = 1;
+		return;
+	}
+
+	let result;
+
+	try {
+		if (command === 'rm') {
+			result = await purescriptCache.rm(args[0]);
+		} else if (command === 'prune') {
+			if (argv.keep === undefined) {
+				throw new Error('`cache prune` command requires --keep <n> option.');
+			}
+
+			result = await purescriptCache.prune({keep: Number(argv.keep)});
+		} else {
+			result = await purescriptCache[command]();
+		}
+	} catch (err) {
+		if (argv.reporter === 'json') {
+			writeJson({
+				id: 'error',
+				error: serializeError(err)
+			});
+		} else {
+			console.error(err.message);
+		}
+
+		process.exitCode = 1;
+		return;
+	}
+
+	if (argv.reporter === 'json') {
+		writeJson({
+			id: `cache-${command}`,
+			...command === 'ls' ? {entries: result} : result
+		});
+		return;
+	}
+
+	printCacheCommandResult(command, result);
+}
+
+function printInstallationCommandResult(command, result) {
+	if (command === 'ls') {
+		if (result.length === 0) {
+			console.log(globalPrefix ?
+				`No PureScript versions are installed in ${magenta(globalPrefix)}` :
+				`No binaries installed by install-purescript are found in ${magenta(process.cwd())}`);
+			return;
+		}
+
+		const rows = result.map(({name, version, reportedVersion, path: binPath}) => [
+			name,
+			version || 'unknown',
+			binPath,
+			reportedVersion === null ? 'fails to run' : ''
+		]);
+		const widths = rows[0].map((_, index) => Math.max(...rows.map(row => row[index].length)));
+
+		for (const row of rows) {
+			console.log(row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd());
+		}
+
+		return;
+	}
+
+	for (const removedPath of result.removed) {
+		console.log(`Removed ${magenta(removedPath)}`);
+	}
+
+	if (!argv['remove-cache']) {
+		return;
+	}
+
+	if (!result.version) {
+		console.log(`${warning}The cached binary is kept, because the version of the removed binary is unknown`);
+		return;
+	}
+
+	console.log(result.reclaimedSize === 0 ?
+		`No cached ${cyan(result.version)} binary to remove` :
+		`Removed the cached ${cyan(result.version)} binary and reclaimed ${filesize(result.reclaimedSize, filesizeOptions)}`);
+}
+
+async function runInstallationCommand(command, args) {
+	const options = globalPrefix ? {prefix: globalPrefix} : {name: argv.name};
+	let result;
+
+	try {
+		if (command === 'ls') {
+			result = await purescriptInstallations.ls(options);
+		} else {
+			if (!globalPrefix && args.length !== 0) {
+				throw new Error(`\`uninstall\` command only takes a version with --global or --prefix, but got ${args[0]}.`);
+			}
+
+			result = await purescriptInstallations.uninstall({
+				...options,
+				version: args[0],
+				removeCache: argv['remove-cache']
+			});
+		}
+	} catch (err) {
+		if (argv.reporter === 'json') {
+			writeJson({
+				id: 'error',
+				error: serializeError(err)
+			});
+		} else {
+			console.error(err.message);
+		}
+
+		process.exitCode = 1;
+		return;
+	}
+
+	if (argv.reporter === 'json') {
+		writeJson({
+			id: command,
+			...command === 'ls' ? {entries: result} : result
+		});
+		return;
+	}
+
+	printInstallationCommandResult(command, result);
+}
+
+function reportProjectVersion({version, path: versionPath, field}) {
+	if (argv.reporter === 'json') {
+		writeJson({id: 'project-version', version, path: versionPath, field});
+		return;
+	}
+
+	console.log(`${info}Use PureScript ${cyan(version)} specified by ${
+		field ? `${field} in ${basename(versionPath)}` : basename(versionPath)
+	}\n`);
+}
+
+if (argv._[0] === 'cache') {
+	runCacheCommand(argv._[1], argv._.slice(2));
+} else if (commands.has(argv._[0])) {
+	runInstallationCommand(argv._[0], argv._.slice(1).map(String));
+} else {
+	if (projectVersion) {
+		reportProjectVersion(projectVersion);
+	}
+
+	installNext();
+}
@@ -2,6 +2,7 @@
 
 const fs = require('fs');
 const {execFile} = require('child_process');
+const {randomBytes} = require('crypto');
 const path = require('path');
 const {inspect, promisify} = require('util');
 const {pipeline: pump} = require('stream');
@@ -12,8 +13,14 @@ const cacache = require('cacache');
 const isPlainObj = require('is-plain-obj');
 const Observable = require('zen-observable');
 const envPaths = require('env-paths');
+const semver = require('semver');
 
 const downloadOrBuildPurescript = require('../download-or-build-purescript/index.js');
+const downloadTool = require('../download-tool/index.js');
+const fileLock = require('../file-lock/index.js');
+const purescriptVersions = require('../purescript-versions/index.js');
+const resolvePurescriptVersion = require('../resolve-purescript-version/index.js');
+const {validateToolDescriptor} = require('../purescript-tools/index.js');
 
 function addId(obj, id) {
 	Object.defineProperty(obj, 'id', {
@@ -25,10 +32,77 @@ function addId(obj, id) {
 }
 
 const defaultCacheRootDir = envPaths('purescript-npm-installer').cache;
-const CACHE_KEY = 'install-purescript:binary';
+const CACHE_KEY_PREFIX = 'install-purescript:binary:';
+const TOOL_CACHE_KEY_PREFIX = 'install-purescript:tool:';
+const LOCKFILE_NAME = 'purescript-installer.lock';
 const MAX_READ_SIZE = 30 * 1024 * 1024;
-const defaultBinName = `purs${process.platform === 'win32' ? '.exe' : ''}`;
-const cacheIdSuffix = `-${process.platform}-${arch()}`;
+const binExt = process.platform === 'win32' ? '.exe' : '';
+const currentArch = process.arch === 'arm64' ? 'arm64' : arch();
+const cacheIdSuffix = `-${process.platform}-${currentArch}`;
+
+// A tool binary is cached under its own prefix, with its name before the version
+function getCacheKey(version, toolName) {
+	return toolName === undefined ?
+		`${CACHE_KEY_PREFIX}${version}${cacheIdSuffix}` :
+		`${TOOL_CACHE_KEY_PREFIX}${toolName}@${version}${cacheIdSuffix}`;
+}
+
+async function listCachedVersions(cacheRootDir) {
+	const versions = [];
+
+	for (const key of Object.keys(await cacache.ls(cacheRootDir))) {
+		if (key.startsWith(CACHE_KEY_PREFIX) && key.endsWith(cacheIdSuffix)) {
+			versions.push(key.slice(CACHE_KEY_PREFIX.length, -cacheIdSuffix.length));
+		}
+	}
+
+	return versions;
+}
+
+function createLockfileError(message, code) {
+	const error = new Error(message);
+
+	error.code = code;
+	return error;
+}
+
+async function readLockfile(lockfilePath, range) {
+	let lock;
+
+	try {
+		lock = JSON.parse(await promisify(fs.readFile)(lockfilePath, 'utf8'));
+	} catch (err) {
+		if (err.code === 'ENOENT') {
+			throw createLockfileError(`Expected a lockfile at ${lockfilePath} since \`frozenLockfile\` option is enabled, but it doesn't exist.`, 'ERR_LOCKFILE_NOT_FOUND');
+		}
+
+		throw err;
+	}
+
+	if (!isPlainObj(lock) || !semver.valid(lock.version) || typeof lock.integrity !== 'string') {
+		throw createLockfileError(`Expected ${lockfilePath} to record a PureScript version and an archive integrity, but got ${inspect(lock)}.`, 'ERR_INVALID_LOCKFILE');
+	}
+
+	if (lock.platform !== process.platform || lock.arch !== currentArch) {
+		throw createLockfileError(`${lockfilePath} is created for ${lock.platform}-${lock.arch}, but the current platform is ${process.platform}-${currentArch}.`, 'ERR_LOCKFILE_MISMATCH');
+	}
+
+	if (range !== undefined && !resolvePurescriptVersion.tags.has(range) && !semver.satisfies(lock.version, range, {includePrerelease: true})) {
+		throw createLockfileError(`${lockfilePath} locks PureScript ${lock.version}, which doesn't match the requested version ${inspect(range)}.`, 'ERR_LOCKFILE_MISMATCH');
+	}
+
+	return lock;
+}
+
+async function unlinkIfExists(filePath) {
+	try {
+		await promisify(fs.unlink)(filePath);
+	} catch (err) {
+		if (err.code !== 'ENOENT') {
+			throw err;
+		}
+	}
+}
 
 module.exports = function installPurescript(...args) {
 	return new Observable(observer => {
@@ -55,6 +129,83 @@ module.exports = function installPurescript(...args) {
 					inspect(options.forceReinstall)
 				}.`);
 			}
+
+			if (options.offline !== undefined && typeof options.offline !== 'boolean') {
+				throw new TypeError(`Expected \`offline\` option to be a Boolean value, but got ${
+					inspect(options.offline)
+				}.`);
+			}
+
+			if (options.offline && options.forceReinstall) {
+				throw new Error('`forceReinstall` option cannot be enabled in offline mode, because the cache is the only place a binary can come from.');
+			}
+
+			for (const optionName of ['lockfile', 'frozenLockfile']) {
+				if (options[optionName] !== undefined && typeof options[optionName] !== 'boolean') {
+					throw new TypeError(`Expected \`${optionName}\` option to be a Boolean value, but got ${
+						inspect(options[optionName])
+					}.`);
+				}
+			}
+
+			if (options.staleLockTimeout !== undefined && (typeof options.staleLockTimeout !== 'number' || !(options.staleLockTimeout > 0))) {
+				throw new TypeError(`Expected \`staleLockTimeout\` option to be a positive number of milliseconds, but got ${
+					inspect(options.staleLockTimeout)
+				}.`);
+			}
+
+			if (options.lockfile === false && options.frozenLockfile) {
+				throw new Error('`frozenLockfile` option cannot be enabled when `lockfile` option is disabled.');
+			}
+
+			if (options.tool !== undefined) {
+				validateToolDescriptor(options.tool);
+
+				// a tool is only downloaded, and has neither a lockfile nor a shim
+				for (const optionName of ['frozenLockfile', 'prefix']) {
+					if (options[optionName] !== undefined) {
+						throw new Error(`\`${optionName}\` option cannot be used with \`tool\` option, but ${
+							inspect(options[optionName])
+						} was provided.`);
+					}
+				}
+
+				if (options.version !== undefined && !semver.valid(options.version)) {
+					throw new Error(`Expected \`version\` option to be an exact ${options.tool.name} version, but got ${inspect(options.version)}.`);
+				}
+			}
+
+			if (options.source !== undefined) {
+				if (typeof options.source !== 'string' || options.source.length === 0) {
+					throw new TypeError(`Expected \`source\` option to be a path of a local directory or tarball of PureScript source, or a git URL, but got ${
+						inspect(options.source)
+					}.`);
+				}
+
+				// A build of other source is neither a release version nor reproducible from an archive integrity,
+				// so it's never cached, and isn't put in a shared directory either
+				for (const optionName of ['version', 'tool', 'frozenLockfile', 'prefix', 'offline']) {
+					if (options[optionName]) {
+						throw new Error(`\`${optionName}\` option cannot be used with \`source\` option, but ${
+							inspect(options[optionName])
+						} was provided.`);
+					}
+				}
+			}
+
+			if (options.prefix !== undefined) {
+				// throws when the path is invalid
+				purescriptVersions.getShimPath(options);
+
+				// a shared directory is not a project, and the shim runs the binary by its default name
+				for (const optionName of ['frozenLockfile', 'rename']) {
+					if (options[optionName]) {
+						throw new Error(`\`${optionName}\` option cannot be used with \`prefix\` option, but ${
+							inspect(options[optionName])
+						} was provided.`);
+					}
+				}
+			}
 		}
 
 		const subscriptions = new Set();
@@ -65,17 +216,148 @@ module.exports = function installPurescript(...args) {
 			}
 		}
 
+		const {tool} = options;
+		const productName = tool === undefined ? 'PureScript' : tool.name;
+		const defaultBinName = `${tool === undefined ? 'purs' : tool.name}${binExt}`;
 		const binName = typeof options.rename === 'function' ? path.normalize(`${options.rename(defaultBinName)}`) : defaultBinName;
 		const cwd = process.cwd();
-		const binPath = path.join(cwd, binName);
-		const cacheId = `${options.version || downloadOrBuildPurescript.defaultVersion}${cacheIdSuffix}`;
+		// with `prefix` option, the path depends on the resolved version
+		let binPath = path.join(cwd, binName);
 		const cacheRootDir = typeof options.cacheRootDir === 'string' ? options.cacheRootDir : defaultCacheRootDir;
+		const lockfilePath = path.join(path.dirname(binPath), LOCKFILE_NAME);
+		const defaultVersion = tool === undefined ? downloadOrBuildPurescript.defaultVersion : tool.defaultVersion;
+		const requestedVersion = options.version || (options.frozenLockfile ? undefined : defaultVersion);
+		// make-fetch-happen can only serve archives offline from its own HTTP cache
+		const canDownload = !options.offline || options.cachePath !== undefined;
+		let version;
+		let cacheId;
+		let cacheKey;
+		let lock;
+		// where the installed binary originally came from, recorded to the lockfile
+		let origin = {
+			url: null,
+			integrity: null,
+			source: options.source === undefined ? 'cache' : 'build'
+		};
+
+		// In frozen lockfile mode, the archives are verified against the lockfile before the binary is placed
+		function toLockfileError(err) {
+			if (!options.frozenLockfile || err.code !== 'ERR_CHECKSUM_MISMATCH') {
+				return err;
+			}
+
+			const error = createLockfileError(`The archive downloaded to install the PureScript binary has integrity ${
+				err.actual
+			}, but ${lockfilePath} expects ${lock.integrity}.`, 'ERR_LOCKFILE_MISMATCH');
+
+			error.expected = lock.integrity;
+			error.actual = err.actual;
+
+			return addId(error, err.id);
+		}
+
+		async function finish() {
+			if (options.frozenLockfile) {
+				observer.next({
+					id: 'check-lockfile',
+					path: lockfilePath
+				});
+
+				if (origin.integrity !== lock.integrity) {
+					const error = createLockfileError(`The PureScript binary was installed from an archive with integrity ${
+						origin.integrity
+					}, but ${lockfilePath} expects ${lock.integrity}.`, 'ERR_LOCKFILE_MISMATCH');
+
+					error.expected = lock.integrity;
+					error.actual = origin.integrity;
+					observer.error(addId(error, 'check-lockfile'));
+					return;
+				}
+
+				observer.next({id: 'check-lockfile:complete'});
+				observer.complete();
+				return;
+			}
+
+			if (options.prefix !== undefined) {
+				await writeShim();
+				return;
+			}
+
+			if (tool !== undefined || options.lockfile === false) {
+				observer.complete();
+				return;
+			}
+
+			observer.next({
+				id: 'write-lockfile',
+				path: lockfilePath
+			});
+
+			try {
+				if (options.source !== undefined) {
+					version = await readBuiltVersion();
+				}
+
+				await promisify(fs.writeFile)(lockfilePath, `${JSON.stringify({
+					version,
+					platform: process.platform,
+					arch: currentArch,
+					...origin
+				}, null, 2)}\n`);
+			} catch (err) {
+				observer.next({
+					id: 'write-lockfile:fail',
+					error: addId(err, 'write-lockfile')
+				});
+				observer.complete();
+
+				return;
+			}
+
+			observer.next({id: 'write-lockfile:complete'});
+			observer.complete();
+		}
+
+		// The version of a binary built from `source` is only known from the binary itself
+		async function readBuiltVersion() {
+			const {stdout} = await promisify(execFile)(binPath, ['--version'], {timeout: 8000, ...options});
+			const builtVersion = semver.valid(semver.clean(stdout.trim())) || semver.valid(semver.coerce(stdout));
+
+			if (builtVersion === null) {
+				throw new Error(`Expected the PureScript binary built from ${options.source} to report its version, but got ${inspect(stdout)}.`);
+			}
+
+			return builtVersion;
+		}
+
+		async function writeShim() {
+			observer.next({
+				id: 'write-shim',
+				path: purescriptVersions.getShimPath(options)
+			});
+
+			try {
+				await purescriptVersions.writeShim(options);
+			} catch (err) {
+				observer.next({
+					id: 'write-shim:fail',
+					error: addId(err, 'write-shim')
+				});
+				observer.complete();
+
+				return;
+			}
+
+			observer.next({id: 'write-shim:complete'});
+			observer.complete();
+		}
 
 		function main({brokenCacheFound = false} = {}) {
-			const cacheCleaning = (async () => {
+			const cacheCleaning = options.source !== undefined ? Promise.resolve() : (async () => {
 				if (brokenCacheFound) {
 					try {
-						await cacache.rm.entry(cacheRootDir, CACHE_KEY);
+						await cacache.rm.entry(cacheRootDir, cacheKey);
 					} catch(_) {}
 				}
 
@@ -84,25 +366,59 @@ module.exports = function installPurescript(...args) {
 				} catch(_) {}
 			})();
 
-			subscriptions.add(downloadOrBuildPurescript(options).subscribe({
+			const download = tool === undefined ?
+				downloadOrBuildPurescript({
+					...options,
+					...options.prefix === undefined ? {} : {rename: () => path.relative(cwd, binPath)},
+					...options.frozenLockfile ? {integrity: lock.integrity} : {},
+					version
+				}) :
+				downloadTool(tool, {...options, version});
+
+			subscriptions.add(download.subscribe({
 				next(val) {
+					// with `source` option, `download-source` events have no response
+					if ((val.id === 'download-binary' || val.id === 'download-source') && val.response && val.response.integrity) {
+						origin = {
+							url: val.response.url,
+							integrity: val.response.integrity,
+							source: val.id === 'download-binary' ? 'download' : 'build'
+						};
+					} else if (val.id === 'download-source:complete' && val.reused && options.frozenLockfile) {
+						// a source is only reused when it has been verified against the same integrity
+						origin = {
+							url: lock.url || null,
+							integrity: lock.integrity,
+							source: 'build'
+						};
+					} else if (val.id === 'download-binary:fail') {
+						val.error = toLockfileError(val.error);
+					}
+
 					observer.next(val);
 				},
 				async error(err) {
 					await cacheCleaning;
-					observer.error(err);
+					observer.error(toLockfileError(err));
 				},
 				async complete() {
+					if (options.source !== undefined) {
+						finish();
+						return;
+					}
+
 					observer.next({id: 'write-cache'});
 
 					try {
 						await cacheCleaning;
 						const binStat = await promisify(fs.lstat)(binPath);
-						const cacheStream = cacache.put.stream(cacheRootDir, CACHE_KEY, {
+						const cacheStream = cacache.put.stream(cacheRootDir, cacheKey, {
 							size: binStat.size,
 							metadata: {
 								id: cacheId,
-								mode: binStat.mode
+								mode: binStat.mode,
+								archiveUrl: origin.url,
+								archiveIntegrity: origin.integrity
 							}
 						});
 						await promisify(pump)(
@@ -113,43 +429,66 @@ module.exports = function installPurescript(...args) {
 							id: 'write-cache:fail',
 							error: addId(err, 'write-cache')
 						});
-						observer.complete();
+						finish();
 
 						return;
 					}
 
 					observer.next({id: 'write-cache:complete'});
-					observer.complete();
+					finish();
 				}
 			}));
 		}
 
-		if (options.forceReinstall) {
-			main();
-			return cancelInstallation;
+		function createOfflineCacheMissError() {
+			const error = new Error(`No cached ${productName} ${version} binary for ${cacheIdSuffix.slice(1)} is found in ${
+				cacheRootDir
+			}, and it cannot be downloaded in offline mode.`);
+
+			error.code = 'ERR_OFFLINE_CACHE_MISS';
+			return addId(error, 'search-cache');
 		}
 
-		(async () => {
+		async function reinstall(err, id) {
+			addId(err, id);
+
+			if (!canDownload) {
+				try {
+					await cacache.rm.entry(cacheRootDir, cacheKey);
+				} catch (_) {}
+
+				observer.error(err);
+				return;
+			}
+
+			observer.next({
+				id: `${id}:fail`,
+				error: err
+			});
+
+			main({brokenCacheFound: true});
+		}
+
+		async function searchCache() {
 			const searchCacheValue = {
 				id: 'search-cache',
 				found: false
 			};
 
+			// the existing binary is kept until a new one is verified
 			const [info] = await Promise.all([
-				cacache.get.info(cacheRootDir, CACHE_KEY),
+				cacache.get.info(cacheRootDir, cacheKey),
 				(async () => {
 					let binStat;
 					try {
 						binStat = await promisify(fs.stat)(binPath);
 
 						if (binStat.isDirectory()) {
-							const error = new Error(`Tried to create a PureScript binary at ${binPath}, but a directory already exists there.`);
+							const error = new Error(`Tried to create a ${productName} binary at ${binPath}, but a directory already exists there.`);
 
 							error.code = 'EISDIR';
 							error.path = binPath;
 							observer.error(error);
-						} else {
-							await promisify(fs.unlink)(binPath);
 						}
 					} catch (err) {
 						if (err.code !== 'ENOENT') {
@@ -165,7 +504,12 @@ module.exports = function installPurescript(...args) {
 				}
 
 				observer.next(searchCacheValue);
-				main();
+
+				if (canDownload) {
+					main();
+				} else {
+					observer.error(createOfflineCacheMissError());
+				}
 
 				return;
 			}
@@ -178,9 +522,16 @@ module.exports = function installPurescript(...args) {
 				return;
 			}
 
-			if (id !== cacheId) {
+			// In frozen lockfile mode, a cached binary from a different archive is left as it is
+			if (id !== cacheId || options.frozenLockfile && info.metadata.archiveIntegrity !== lock.integrity) {
 				observer.next(searchCacheValue);
-				main({brokenCacheFound: true});
+
+				if (canDownload) {
+					main({brokenCacheFound: id !== cacheId});
+				} else {
+					observer.error(createOfflineCacheMissError());
+				}
+
 				return;
 			}
 
@@ -189,19 +540,18 @@ module.exports = function installPurescript(...args) {
 			observer.next(searchCacheValue);
 			observer.next({id: 'restore-cache'});
 
+			// restored next to the binary, and renamed to it after verification as download-or-build-purescript does
+			const tmpBinPath = path.join(path.dirname(binPath), `.${path.basename(binPath)}-${randomBytes(4).toString('hex')}.tmp`);
+
 			try {
 				await promisify(pump)(
 					fs.createReadStream(cachePath),
-					fs.createWriteStream(binPath)
+					fs.createWriteStream(tmpBinPath)
 				);
-				await promisify(fs.chmod)(binPath, binMode);
+				await promisify(fs.chmod)(tmpBinPath, binMode);
 			} catch (err) {
-				observer.next({
-					id: 'restore-cache:fail',
-					error: addId(err, 'restore-cache')
-				});
-
-				main({brokenCacheFound: true});
+				await unlinkIfExists(tmpBinPath).catch(() => {});
+				reinstall(err, 'restore-cache');
 				return;
 			}
 
@@ -209,19 +559,128 @@ module.exports = function installPurescript(...args) {
 			observer.next({id: 'check-binary'});
 
 			try {
-				await promisify(execFile)(binPath, ['--version'], {timeout: 8000, ...options});
+				await promisify(execFile)(tmpBinPath, tool === undefined ? ['--version'] : tool.versionArgs, {timeout: 8000, ...options});
+				await promisify(fs.rename)(tmpBinPath, binPath);
 			} catch (err) {
-				observer.next({
-					id: 'check-binary:fail',
-					error: addId(err, 'check-binary')
+				await unlinkIfExists(tmpBinPath).catch(() => {});
+				reinstall(err, 'check-binary');
+				return;
+			}
+
+			origin = {
+				url: info.metadata.archiveUrl || null,
+				integrity: info.metadata.archiveIntegrity || null,
+				source: 'cache'
+			};
+			observer.next({id: 'check-binary:complete'});
+			finish();
+		}
+
+		// Another process installing to the same path or caching the same version holds the lock until it finishes.
+		// Subscriptions are unsubscribed when the installation ends, which releases the locks.
+		function acquireLock(lockPath, callback) {
+			let waited = false;
+
+			subscriptions.add(fileLock(lockPath, {staleTimeout: options.staleLockTimeout}).subscribe({
+				next(event) {
+					if (event.id === 'wait-lock') {
+						waited = true;
+						observer.next(event);
+						return;
+					}
+
+					callback(waited);
+				},
+				error(err) {
+					observer.error(addId(err, options.forceReinstall ? 'head' : 'search-cache'));
+				}
+			}));
+		}
+
+		function start() {
+			// always in this order, so that two processes never wait for each other
+			acquireLock(path.join(path.dirname(binPath), `.${path.basename(binPath)}.lock`), () => {
+				if (options.source !== undefined) {
+					main();
+					return;
+				}
+
+				acquireLock(path.join(cacheRootDir, 'locks', `${cacheId}.lock`), waited => {
+					// the process that held the lock has just cached the version, so it's reused even with `forceReinstall`
+					if (options.forceReinstall && !waited) {
+						main();
+						return;
+					}
+
+					searchCache();
 				});
+			});
+		}
 
-				main({brokenCacheFound: true});
+		function install(resolvedVersion) {
+			version = resolvedVersion;
+			cacheId = `${tool === undefined ? '' : `${tool.name}@`}${version}${cacheIdSuffix}`;
+			cacheKey = `${tool === undefined ? CACHE_KEY_PREFIX : TOOL_CACHE_KEY_PREFIX}${cacheId}`;
+
+			if (options.prefix === undefined) {
+				start();
 				return;
 			}
 
-			observer.next({id: 'check-binary:complete'});
-			observer.complete();
+			binPath = purescriptVersions.getBinPath(version, options);
+			fs.mkdir(path.dirname(binPath), {recursive: true}, err => {
+				if (observer.closed) {
+					return;
+				}
+
+				if (err) {
+					observer.error(addId(err, options.forceReinstall ? 'head' : 'search-cache'));
+					return;
+				}
+
+				start();
+			});
+		}
+
+		if (options.source !== undefined) {
+			start();
+			return cancelInstallation;
+		}
+
+		if (!options.frozenLockfile && semver.valid(requestedVersion)) {
+			install(requestedVersion);
+			return cancelInstallation;
+		}
+
+		(async () => {
+			let resolvedVersion;
+
+			try {
+				if (options.frozenLockfile) {
+					lock = await readLockfile(lockfilePath, requestedVersion);
+					resolvedVersion = lock.version;
+				} else {
+					resolvedVersion = await resolvePurescriptVersion(requestedVersion, options.offline ? {
+						...options,
+						versions: await listCachedVersions(cacheRootDir)
+					} : options);
+				}
+			} catch (err) {
+				observer.error(addId(err, 'resolve-version'));
+				return;
+			}
+
+			if (observer.closed) {
+				return;
+			}
+
+			observer.next({
+				id: 'resolve-version',
+				range: requestedVersion,
+				version: resolvedVersion,
+				...options.frozenLockfile ? {lockfile: lockfilePath} : {}
+			});
+			install(resolvedVersion);
 		})();
 
 		return cancelInstallation;
@@ -229,14 +688,26 @@ module.exports = function installPurescript(...args) {
 };
 
 Object.defineProperties(module.exports, {
-	cacheKey: {
+	cacheKeyPrefix: {
 		enumerable: true,
-		value: CACHE_KEY
+		value: CACHE_KEY_PREFIX
+	},
+	toolCacheKeyPrefix: {
+		enumerable: true,
+		value: TOOL_CACHE_KEY_PREFIX
 	},
 	defaultCacheRootDir: {
 		enumerable: true,
 		value: defaultCacheRootDir
 	},
+	getCacheKey: {
+		enumerable: true,
+		value: getCacheKey
+	},
+	lockfileName: {
+		enumerable: true,
+		value: LOCKFILE_NAME
+	},
 	defaultVersion: {
 		enumerable: true,
 		value: downloadOrBuildPurescript.defaultVersion
@@ -0,0 +1,43 @@
+'use strict';
+
+const {inspect} = require('util');
+
+const isPlainObj = require('is-plain-obj');
+const Observable = require('zen-observable');
+
+const installPurescript = require('../install-purescript/index.js');
+const {validateToolDescriptor} = require('../purescript-tools/index.js');
+
+module.exports = function installTool(...args) {
+	return new Observable(observer => {
+		const argLen = args.length;
+
+		if (argLen !== 1 && argLen !== 2) {
+			throw new RangeError(`Expected 1 or 2 arguments (<Object>[, <Object>]), but got ${
+				argLen === 0 ? 'no' : argLen
+			} arguments.`);
+		}
+
+		const [descriptor, options = {}] = args;
+
+		validateToolDescriptor(descriptor);
+
+		if (!isPlainObj(options)) {
+			throw new TypeError(`Expected an object to set install-tool options, but got ${inspect(options)}.`);
+		}
+
+		// the same pipeline as PureScript, with the cache, the locks and the atomic replacement
+		return installPurescript({...options, tool: descriptor}).subscribe(observer);
+	});
+};
+
+Object.defineProperties(module.exports, {
+	cacheKeyPrefix: {
+		enumerable: true,
+		value: installPurescript.toolCacheKeyPrefix
+	},
+	getCacheKey: {
+		enumerable: true,
+		value: (name, version) => installPurescript.getCacheKey(version, name)
+	}
+});
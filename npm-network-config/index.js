@@ -0,0 +1,129 @@
+'use strict';
+
+const {readFileSync} = require('fs');
+const {inspect} = require('util');
+
+const isPlainObj = require('is-plain-obj');
+
+const optionNames = ['proxy', 'noProxy', 'ca', 'cert', 'key', 'strictSSL'];
+const certificateBegin = '-----BEGIN CERTIFICATE-----';
+const certificateEnd = '-----END CERTIFICATE-----';
+
+// npm exports its config to the environment of scripts as `npm_config_<name>`,
+// where an unset value is an empty string or 'null'
+function getConfig(env, name) {
+	const value = env[`npm_config_${name.replace(/-/gu, '_')}`];
+
+	if (value === undefined || value === '' || value === 'null') {
+		return undefined;
+	}
+
+	return value;
+}
+
+// a PEM string in npm config has its line breaks escaped
+function unescapePem(value) {
+	return value.replace(/\\n/gu, '\n');
+}
+
+function readCafile(cafile) {
+	let contents;
+
+	try {
+		contents = readFileSync(cafile, 'utf8');
+	} catch (err) {
+		err.message = `Failed to read the CA certificates from ${cafile} specified by npm's \`cafile\` config: ${err.message}`;
+		throw err;
+	}
+
+	// a bundle may have a label or the subject of each certificate before it
+	const certificates = contents.replace(/\r\n/gu, '\n')
+	.split(certificateEnd)
+	.filter(certificate => certificate.includes(certificateBegin))
+	.map(certificate => `${certificate.slice(certificate.indexOf(certificateBegin))}${certificateEnd}`);
+
+	if (certificates.length === 0) {
+		const error = new Error(`Expected ${cafile} specified by npm's \`cafile\` config to contain PEM-encoded CA certificates, but it has none.`);
+
+		error.code = 'ERR_INVALID_CAFILE';
+		throw error;
+	}
+
+	return certificates;
+}
+
+module.exports = function npmNetworkConfig(...args) {
+	const argLen = args.length;
+
+	if (argLen > 1) {
+		throw new RangeError(`Expected 0 or 1 argument ([<Object>]), but got ${argLen} arguments.`);
+	}
+
+	const [env = process.env] = args;
+
+	if (!isPlainObj(env) && env !== process.env) {
+		throw new TypeError(`Expected an object of environment variables, but got ${inspect(env)}.`);
+	}
+
+	const config = {};
+	const proxy = getConfig(env, 'https-proxy') || getConfig(env, 'proxy');
+	const noProxy = getConfig(env, 'noproxy');
+	const cafile = getConfig(env, 'cafile');
+	const ca = getConfig(env, 'ca');
+	const cert = getConfig(env, 'cert');
+	const key = getConfig(env, 'key');
+	const strictSSL = getConfig(env, 'strict-ssl');
+
+	// `HTTPS_PROXY`, `HTTP_PROXY` and `NO_PROXY` are read by make-fetch-happen when npm config doesn't set them
+	if (proxy !== undefined && proxy !== 'false') {
+		config.proxy = proxy;
+	}
+
+	if (noProxy !== undefined) {
+		config.noProxy = noProxy;
+	}
+
+	// `cafile` takes precedence over `ca`, as npm does
+	if (cafile !== undefined) {
+		config.ca = readCafile(cafile);
+	} else if (ca !== undefined) {
+		config.ca = unescapePem(ca);
+	}
+
+	if (cert !== undefined) {
+		config.cert = unescapePem(cert);
+	}
+
+	if (key !== undefined) {
+		config.key = unescapePem(key);
+	}
+
+	if (strictSSL !== undefined) {
+		config.strictSSL = strictSSL !== 'false';
+	}
+
+	return config;
+};
+
+function pickNetworkOptions(options) {
+	const picked = {};
+
+	for (const name of optionNames) {
+		if (options[name] !== undefined) {
+			picked[name] = options[name];
+		}
+	}
+
+	return picked;
+}
+
+Object.defineProperties(module.exports, {
+	optionNames: {
+		enumerable: true,
+		value: optionNames
+	},
+	pickNetworkOptions: {
+		enumerable: true,
+		value: pickNetworkOptions
+	}
+});
@@ -0,0 +1,262 @@
+'use strict';
+
+const fs = require('fs');
+const {join, relative, resolve, sep} = require('path');
+const {inspect, promisify} = require('util');
+
+const byline = require('byline');
+const execa = require('execa');
+const Observable = require('zen-observable');
+const tar = require('tar');
+
+const SOURCE_ERROR = 'Expected a path of a local directory or tarball of PureScript source, or a git URL like \'git+https://github.com/purescript/purescript.git#master\'';
+const gitUrlRe = /^git\+((?:https?|ssh|file):\/\/[^#]+)(?:#(.*))?$/u;
+const commitRe = /^[\da-f]{40}$/ui;
+// VCS metadata and build artifacts are not part of the source, and can be much larger than it
+const ignoredDirectoryNames = new Set([
+	'.git',
+	'.stack-work',
+	'dist-newstyle'
+]);
+
+function parseGitUrl(source) {
+	const match = gitUrlRe.exec(source);
+
+	if (!match) {
+		return null;
+	}
+
+	return {
+		url: match[1],
+		ref: match[2] || 'HEAD'
+	};
+}
+
+function createEntry(path, type, {size, mode}) {
+	const entryPath = path.split(sep).join('/');
+
+	return {
+		path: entryPath,
+		type,
+		size: type === 'File' ? size : 0,
+		remain: 0,
+		mode: mode & 0o7777,
+		header: {
+			path: entryPath,
+			type,
+			size: type === 'File' ? size : 0,
+			mode: mode & 0o7777
+		}
+	};
+}
+
+async function copyDirectory(srcDir, destDir, observer, isCanceled) {
+	const copy = async dir => {
+		for (const dirent of await promisify(fs.readdir)(dir, {withFileTypes: true})) {
+			if (isCanceled()) {
+				return;
+			}
+
+			const srcPath = join(dir, dirent.name);
+			const path = relative(srcDir, srcPath);
+			const destPath = join(destDir, path);
+
+			if (dirent.isDirectory()) {
+				if (ignoredDirectoryNames.has(dirent.name)) {
+					continue;
+				}
+
+				const stats = await promisify(fs.stat)(srcPath);
+
+				await promisify(fs.mkdir)(destPath, {recursive: true, mode: stats.mode});
+				observer.next({entry: createEntry(path, 'Directory', stats)});
+				await copy(srcPath);
+
+				continue;
+			}
+
+			if (dirent.isSymbolicLink()) {
+				const stats = await promisify(fs.lstat)(srcPath);
+
+				await promisify(fs.symlink)(await promisify(fs.readlink)(srcPath), destPath);
+				observer.next({entry: createEntry(path, 'SymbolicLink', stats)});
+
+				continue;
+			}
+
+			if (dirent.isFile()) {
+				const stats = await promisify(fs.stat)(srcPath);
+
+				// the file mode is copied as well
+				await promisify(fs.copyFile)(srcPath, destPath);
+				observer.next({entry: createEntry(path, 'File', stats)});
+			}
+		}
+	};
+
+	await copy(srcDir);
+}
+
+function createInvalidTarballError(file) {
+	const error = new Error(`Expected ${file} to be a tarball of PureScript source, but no files were extracted from it.`);
+
+	error.code = 'ERR_INVALID_SOURCE';
+
+	return error;
+}
+
+async function extractTarball(file, dir, observer) {
+	let entryCount = 0;
+
+	try {
+		// the top level directory is stripped off, as download-purescript-source does for GitHub archives
+		await tar.x({
+			file,
+			cwd: dir,
+			strip: 1,
+			onentry(entry) {
+				entryCount++;
+				observer.next({entry});
+			}
+		});
+	} catch (err) {
+		throw err.code === 'TAR_BAD_ARCHIVE' ? createInvalidTarballError(file) : err;
+	}
+
+	if (entryCount === 0) {
+		throw createInvalidTarballError(file);
+	}
+}
+
+async function fetchGitRevision({url, ref}, dir, observer, processes) {
+	const commands = [
+		['init', '--quiet'],
+		['fetch', '--depth=1', '--progress', url, ref],
+		['checkout', '--quiet', 'FETCH_HEAD']
+	];
+
+	for (const gitArgs of commands) {
+		const command = `git ${gitArgs.join(' ')}`;
+		const cp = execa('git', gitArgs, {cwd: dir});
+
+		processes.add(cp);
+		cp.stderr.setEncoding('utf8');
+		byline(cp.stderr).on('data', output => observer.next({command, output}));
+
+		try {
+			await cp;
+		} catch (err) {
+			// execa replaces `code` of a spawn error with the exit code
+			if (err.exitCodeName === 'ENOENT') {
+				err.code = 'ENOENT';
+				err.message = `\`git\` command is not found in your PATH, but it's required to clone the PureScript source from ${url}.`;
+			}
+
+			throw err;
+		} finally {
+			processes.delete(cp);
+		}
+	}
+}
+
+// A branch or a tag is looked up in the remote repository without fetching it
+async function resolveGitCommit(source) {
+	const gitUrl = parseGitUrl(source);
+
+	if (!gitUrl) {
+		return null;
+	}
+
+	if (commitRe.test(gitUrl.ref)) {
+		return gitUrl.ref.toLowerCase();
+	}
+
+	let stdout;
+
+	try {
+		({stdout} = await execa('git', ['ls-remote', gitUrl.url, gitUrl.ref]));
+	} catch (_) {
+		return null;
+	}
+
+	const [hash] = stdout.split(/\s/u);
+
+	return commitRe.test(hash) ? hash : null;
+}
+
+module.exports = function preparePurescriptSource(...args) {
+	return new Observable(observer => {
+		const argLen = args.length;
+
+		if (argLen !== 2) {
+			throw new RangeError(`Expected 2 arguments (<string>, <string>), but got ${
+				argLen === 0 ? 'no' : argLen
+			} arguments.`);
+		}
+
+		const [dir, source] = args;
+
+		if (typeof dir !== 'string') {
+			throw new TypeError(`Expected a directory path where PureScript source will be prepared, but got a non-string value ${
+				inspect(dir)
+			}.`);
+		}
+
+		if (typeof source !== 'string') {
+			throw new TypeError(`${SOURCE_ERROR}, but got a non-string value ${inspect(source)}.`);
+		}
+
+		if (source.length === 0) {
+			throw new Error(`${SOURCE_ERROR}, but got '' (empty string).`);
+		}
+
+		const processes = new Set();
+		let canceled = false;
+
+		(async () => {
+			const gitUrl = parseGitUrl(source);
+
+			if (gitUrl) {
+				await fetchGitRevision(gitUrl, dir, observer, processes);
+				return;
+			}
+
+			const sourcePath = resolve(source);
+			let stats;
+
+			try {
+				stats = await promisify(fs.stat)(sourcePath);
+			} catch (err) {
+				if (err.code === 'ENOENT') {
+					err.message = `${SOURCE_ERROR}, but nothing exists at ${sourcePath}.`;
+				}
+
+				throw err;
+			}
+
+			if (stats.isDirectory()) {
+				await copyDirectory(sourcePath, dir, observer, () => canceled);
+				return;
+			}
+
+			await extractTarball(sourcePath, dir, observer);
+		})().then(() => { // eslint-disable-line promise/prefer-await-to-then
+			observer.complete();
+		}, err => {
+			observer.error(err);
+		});
+
+		return function cancelPreparation() {
+			canceled = true;
+
+			for (const cp of processes) {
+				cp.kill();
+			}
+		};
+	});
+};
+
+Object.defineProperty(module.exports, 'resolveGitCommit', {
+	enumerable: true,
+	value: resolveGitCommit
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+const spawnCabal = require('../spawn-cabal/index.js');
+const spawnStack = require('../spawn-stack/index.js');
+
+// flags of `stack install` that don't make sense for `stack setup`
+const buildOnlyArgs = new Set([
+	'--dry-run',
+	'--pedantic',
+	'--fast',
+	'--only-snapshot',
+	'--only-dependencies',
+	'--only-configure',
+	'--trace',
+	'--profile',
+	'--no-strip',
+	'--coverage',
+	'--no-run-tests',
+	'--no-run-benchmarks'
+]);
+
+// `jobs` and `ghcOptions` of build-purescript, as flags that both Stack and cabal understand
+function getJobsArgs({jobs}) {
+	return jobs === undefined ? [] : [`--jobs=${jobs}`];
+}
+
+function getGhcOptionsArgs({ghcOptions = []}) {
+	return ghcOptions.length === 0 ? [] : [`--ghc-options=${ghcOptions.join(' ')}`];
+}
+
+function createUnconfigurableFlagError(flag, builderName) {
+	const error = new Error(`\`${flag}\` flag of the \`${builderName}\` command is not configurable, but provided for \`args\` option.`);
+	error.code = 'ERR_INVALID_OPT_VALUE';
+
+	return error;
+}
+
+const builders = new Map([
+	[
+		'stack',
+		{
+			name: 'stack',
+			spawn: spawnStack,
+			createNotFoundError: spawnStack.createNotFoundError,
+			setupFile: 'stack.yaml',
+			workDir: '.stack-work',
+			validateArgs(args) {
+				if (args.some(arg => arg.startsWith('--local-bin-path'))) {
+					throw createUnconfigurableFlagError('--local-bin-path', 'stack');
+				}
+			},
+			// `--jobs` is a global flag, and `--ghc-options` is a flag of build commands
+			getSetupArgs(args, resources = {}) {
+				return [...args.filter(arg => !buildOnlyArgs.has(arg)), ...getJobsArgs(resources), 'setup'];
+			},
+			getBuildArgs(args, binDir, resources = {}) {
+				return [
+					...args.filter(arg => !buildOnlyArgs.has(arg)),
+					...getJobsArgs(resources),
+					'install',
+					`--local-bin-path=${binDir}`,
+					'--flag=purescript:RELEASE',
+					...getGhcOptionsArgs(resources),
+					...args.filter(arg => buildOnlyArgs.has(arg))
+				];
+			}
+		}
+	],
+	[
+		'cabal',
+		{
+			name: 'cabal',
+			spawn: spawnCabal,
+			createNotFoundError: spawnCabal.createNotFoundError,
+			// cabal.project and the local packages may follow the .cabal file, so wait for the whole source
+			setupFile: null,
+			workDir: 'dist-newstyle',
+			validateArgs(args) {
+				if (args.some(arg => arg.startsWith('--installdir'))) {
+					throw createUnconfigurableFlagError('--installdir', 'cabal');
+				}
+
+				const stackOnlyArg = args.find(arg => buildOnlyArgs.has(arg));
+
+				if (stackOnlyArg !== undefined) {
+					const error = new Error(`\`${stackOnlyArg}\` is a flag of \`stack install\` and cannot be used with the \`cabal\` builder, but provided for \`args\` option.`);
+					error.code = 'ERR_INVALID_OPT_VALUE';
+
+					throw error;
+				}
+			},
+			// cabal doesn't install GHC, so the setup step builds the dependencies instead.
+			// Both steps take the same `--ghc-options`, otherwise cabal sees a different build plan.
+			getSetupArgs(args, resources = {}) {
+				return [
+					'build',
+					'exe:purs',
+					'--only-dependencies',
+					'--flags=release',
+					...getJobsArgs(resources),
+					...getGhcOptionsArgs(resources),
+					...args
+				];
+			},
+			getBuildArgs(args, binDir, resources = {}) {
+				return [
+					'install',
+					'exe:purs',
+					`--installdir=${binDir}`,
+					'--install-method=copy',
+					'--overwrite-policy=always',
+					'--flags=release',
+					...getJobsArgs(resources),
+					...getGhcOptionsArgs(resources),
+					...args
+				];
+			}
+		}
+	]
+]);
+
+module.exports = builders;
+
+Object.defineProperty(module.exports, 'supportedBuildFlags', {
+	enumerable: true,
+	value: buildOnlyArgs
+});
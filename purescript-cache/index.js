@@ -0,0 +1,133 @@
+'use strict';
+
+const {inspect} = require('util');
+
+const cacache = require('cacache');
+const semver = require('semver');
+
+const installPurescript = require('../install-purescript/index.js');
+const installTool = require('../install-tool/index.js');
+
+const cacheIdRe = /^(.+)-([^-]+)-([^-]+)$/u;
+const KEEP_ERROR = 'Expected `keep` option to be a non-negative integer that specifies how many versions of each binary are kept';
+
+function parseKey(key) {
+	let name;
+	let cacheId;
+
+	if (key.startsWith(installPurescript.cacheKeyPrefix)) {
+		name = 'purs';
+		cacheId = key.slice(installPurescript.cacheKeyPrefix.length);
+	} else if (key.startsWith(installTool.cacheKeyPrefix)) {
+		const nameAndCacheId = key.slice(installTool.cacheKeyPrefix.length);
+		const atIndex = nameAndCacheId.indexOf('@');
+
+		name = nameAndCacheId.slice(0, atIndex);
+		cacheId = nameAndCacheId.slice(atIndex + 1);
+	} else {
+		return null;
+	}
+
+	const [, version, platform, arch] = cacheIdRe.exec(cacheId) || [];
+
+	if (!semver.valid(version)) {
+		return null;
+	}
+
+	return {name, version, platform, arch};
+}
+
+function getCacheRootDir(options = {}) {
+	return typeof options.cacheRootDir === 'string' ? options.cacheRootDir : installPurescript.defaultCacheRootDir;
+}
+
+async function ls(options) {
+	const entries = [];
+
+	for (const {key, path, size, time} of Object.values(await cacache.ls(getCacheRootDir(options)))) {
+		const parsed = parseKey(key);
+
+		if (parsed) {
+			entries.push({...parsed, size, time, path, key});
+		}
+	}
+
+	return entries.sort((a, b) => a.name.localeCompare(b.name) ||
+		semver.rcompare(a.version, b.version) ||
+		`${a.platform}-${a.arch}`.localeCompare(`${b.platform}-${b.arch}`));
+}
+
+async function removeEntries(entries, options) {
+	const cacheRootDir = getCacheRootDir(options);
+
+	for (const {key} of entries) {
+		await cacache.rm.entry(cacheRootDir, key);
+	}
+
+	// the contents of the removed entries are garbage-collected here
+	const {reclaimedSize} = await cacache.verify(cacheRootDir);
+
+	return {
+		removed: entries,
+		reclaimedSize
+	};
+}
+
+async function rm(spec, options) {
+	if (typeof spec !== 'string') {
+		throw new TypeError(`Expected a PureScript version or <tool name>@<version>, but got ${inspect(spec)}.`);
+	}
+
+	const atIndex = spec.lastIndexOf('@');
+	const name = atIndex > 0 ? spec.slice(0, atIndex) : 'purs';
+	const version = semver.valid(spec.slice(atIndex + 1));
+
+	if (!version) {
+		throw new Error(`Expected a PureScript version or <tool name>@<version>, but got ${inspect(spec)}.`);
+	}
+
+	return removeEntries((await ls(options)).filter(entry => entry.name === name && entry.version === version), options);
+}
+
+async function prune(options = {}) {
+	if (!Number.isSafeInteger(options.keep) || options.keep < 0) {
+		throw new RangeError(`${KEEP_ERROR}, but got ${inspect(options.keep)}.`);
+	}
+
+	const keptCounts = new Map();
+	const entriesToRemove = [];
+
+	// `ls()` sorts the entries of each binary from the newest version
+	for (const entry of await ls(options)) {
+		const binaryId = `${entry.name}-${entry.platform}-${entry.arch}`;
+		const keptCount = keptCounts.get(binaryId) || 0;
+
+		if (keptCount < options.keep) {
+			keptCounts.set(binaryId, keptCount + 1);
+		} else {
+			entriesToRemove.push(entry);
+		}
+	}
+
+	return removeEntries(entriesToRemove, options);
+}
+
+async function clear(options) {
+	const entries = await ls(options);
+
+	await cacache.rm.all(getCacheRootDir(options));
+
+	return {removed: entries};
+}
+
+function verify(options) {
+	return cacache.verify(getCacheRootDir(options));
+}
+
+module.exports = {
+	ls,
+	rm,
+	prune,
+	clear,
+	verify
+};
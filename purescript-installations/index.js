@@ -0,0 +1,208 @@
+'use strict';
+
+const {execFile} = require('child_process');
+const fs = require('fs');
+const {dirname, join, resolve} = require('path');
+const {inspect, promisify} = require('util');
+
+const cacache = require('cacache');
+const isPlainObj = require('is-plain-obj');
+const rimraf = require('rimraf');
+const semver = require('semver');
+
+const installPurescript = require('../install-purescript/index.js');
+const purescriptVersions = require('../purescript-versions/index.js');
+const tools = require('../purescript-tools/index.js');
+
+const exeSuffix = process.platform === 'win32' ? '.exe' : '';
+const defaultBinName = `purs${exeSuffix}`;
+const NAME_ERROR = 'Expected `name` option to be a path of the PureScript binary relative to the current working directory';
+
+function validateOptions(options) {
+	if (!isPlainObj(options)) {
+		throw new TypeError(`Expected an object to set purescript-installations options, but got ${inspect(options)}.`);
+	}
+
+	if (options.name !== undefined) {
+		if (typeof options.name !== 'string') {
+			throw new TypeError(`${NAME_ERROR}, but got a non-string value ${inspect(options.name)}.`);
+		}
+
+		if (options.name.length === 0) {
+			throw new Error(`${NAME_ERROR}, but got '' (empty string).`);
+		}
+
+		// a shared directory has its own layout, see purescript-versions
+		if (options.prefix !== undefined) {
+			throw new Error(`\`name\` option cannot be used with \`prefix\` option, but ${inspect(options.name)} was provided.`);
+		}
+	}
+
+	if (options.prefix !== undefined) {
+		// throws when the path is invalid
+		purescriptVersions.getShimPath(options);
+	}
+}
+
+// The first line that the binary prints, or `null` when it doesn't run
+async function getReportedVersion(binPath, args) {
+	try {
+		const {stdout} = await promisify(execFile)(binPath, args, {timeout: 8000});
+
+		return stdout.trim().split(/\r?\n/u)[0];
+	} catch (_) {
+		return null;
+	}
+}
+
+// A prerelease like '0.15.0-alpha-01' is kept, and a version with extra text like
+// '0.13.0 [development build]' is coerced
+function parseReportedVersion(reportedVersion) {
+	if (reportedVersion === null) {
+		return null;
+	}
+
+	return semver.valid(semver.clean(reportedVersion)) || semver.valid(semver.coerce(reportedVersion));
+}
+
+async function exists(path) {
+	try {
+		await promisify(fs.stat)(path);
+		return true;
+	} catch (err) {
+		if (err.code === 'ENOENT') {
+			return false;
+		}
+
+		throw err;
+	}
+}
+
+async function readLockedVersion(lockfilePath) {
+	try {
+		const {version} = JSON.parse(await promisify(fs.readFile)(lockfilePath, 'utf8'));
+
+		return semver.valid(version);
+	} catch (_) {
+		return null;
+	}
+}
+
+async function ls(options = {}) {
+	validateOptions(options);
+
+	if (options.prefix !== undefined) {
+		return Promise.all((await purescriptVersions.ls(options)).map(async ({version, path}) => ({
+			name: 'purs',
+			version,
+			reportedVersion: await getReportedVersion(path, ['--version']),
+			path
+		})));
+	}
+
+	// the binaries that `install-purescript` command installs to the current working directory
+	const candidates = [
+		{name: 'purs', path: resolve(options.name || defaultBinName), versionArgs: ['--version']},
+		...[...tools.values()].map(({name, versionArgs}) => ({name, path: resolve(`${name}${exeSuffix}`), versionArgs}))
+	];
+	const entries = [];
+
+	for (const {name, path, versionArgs} of candidates) {
+		if (!await exists(path)) {
+			continue;
+		}
+
+		const reportedVersion = await getReportedVersion(path, versionArgs);
+		const lockedVersion = name === 'purs' ? await readLockedVersion(join(dirname(path), installPurescript.lockfileName)) : null;
+
+		entries.push({
+			name,
+			version: lockedVersion || parseReportedVersion(reportedVersion),
+			reportedVersion,
+			path
+		});
+	}
+
+	return entries;
+}
+
+function createNotInstalledError(message) {
+	const error = new Error(message);
+
+	error.code = 'ERR_NOT_INSTALLED';
+
+	return error;
+}
+
+async function removeCacheEntry(version, options) {
+	const cacheRootDir = typeof options.cacheRootDir === 'string' ? options.cacheRootDir : installPurescript.defaultCacheRootDir;
+	const cacheKey = installPurescript.getCacheKey(version);
+
+	if (!await cacache.get.info(cacheRootDir, cacheKey)) {
+		return 0;
+	}
+
+	await cacache.rm.entry(cacheRootDir, cacheKey);
+
+	// the contents of the removed entry are garbage-collected here
+	return (await cacache.verify(cacheRootDir)).reclaimedSize;
+}
+
+async function uninstall(options = {}) {
+	validateOptions(options);
+
+	if (options.removeCache !== undefined && typeof options.removeCache !== 'boolean') {
+		throw new TypeError(`Expected \`removeCache\` option to be a Boolean value, but got ${inspect(options.removeCache)}.`);
+	}
+
+	const removed = [];
+	let version;
+
+	if (options.prefix !== undefined) {
+		version = semver.valid(options.version);
+
+		if (!version) {
+			throw new Error(`Expected \`version\` option to be an exact PureScript version to uninstall, but got ${
+				inspect(options.version)
+			}.`);
+		}
+
+		const binPath = purescriptVersions.getBinPath(version, options);
+
+		if (!await exists(binPath)) {
+			throw createNotInstalledError(`PureScript ${version} is not installed at ${binPath}.`);
+		}
+
+		await promisify(rimraf)(dirname(binPath), {glob: false});
+		removed.push(binPath);
+	} else {
+		const binPath = resolve(options.name || defaultBinName);
+		const lockfilePath = join(dirname(binPath), installPurescript.lockfileName);
+
+		if (!await exists(binPath)) {
+			throw createNotInstalledError(`No PureScript binary is installed at ${binPath}.`);
+		}
+
+		// the lockfile tells the version even when the binary doesn't run
+		version = await readLockedVersion(lockfilePath) || parseReportedVersion(await getReportedVersion(binPath, ['--version']));
+
+		await promisify(fs.unlink)(binPath);
+		removed.push(binPath);
+
+		if (await exists(lockfilePath)) {
+			await promisify(fs.unlink)(lockfilePath);
+			removed.push(lockfilePath);
+		}
+	}
+
+	return {
+		version,
+		removed,
+		reclaimedSize: options.removeCache && version ? await removeCacheEntry(version, options) : 0
+	};
+}
+
+module.exports = {
+	ls,
+	uninstall
+};
@@ -0,0 +1,146 @@
+'use strict';
+
+const {readFileSync} = require('fs');
+const {join, resolve} = require('path');
+const {inspect} = require('util');
+
+const isPlainObj = require('is-plain-obj');
+const jsYaml = require('js-yaml');
+const semver = require('semver');
+
+const {rangeDescription, tags} = require('../resolve-purescript-version/index.js');
+
+const VERSION_FILE_NAME = '.purs-version';
+
+function isVersionRange(value) {
+	return typeof value === 'string' && (tags.has(value.trim()) || semver.validRange(value) !== null);
+}
+
+function readFileIfExists(path) {
+	try {
+		return readFileSync(path, 'utf8');
+	} catch (err) {
+		if (err.code === 'ENOENT') {
+			return null;
+		}
+
+		throw err;
+	}
+}
+
+function createInvalidVersionError(value, source) {
+	const error = new Error(`Expected ${source} to be ${rangeDescription}, but got ${
+		inspect(value)
+	}.`);
+
+	error.code = 'ERR_INVALID_PROJECT_VERSION';
+
+	return error;
+}
+
+function parseFile(path, parse) {
+	const contents = readFileIfExists(path);
+
+	if (contents === null) {
+		return null;
+	}
+
+	try {
+		return parse(contents);
+	} catch (err) {
+		err.message = `Failed to parse ${path}: ${err.message}`;
+		throw err;
+	}
+}
+
+function fromPackageJson(dir) {
+	const path = join(dir, 'package.json');
+	const pkg = parseFile(path, JSON.parse);
+
+	if (!isPlainObj(pkg)) {
+		return null;
+	}
+
+	// a dependency can be something other than a version, for example a git URL, which doesn't tell the version
+	for (const field of ['dependencies', 'devDependencies']) {
+		const version = isPlainObj(pkg[field]) ? pkg[field].purescript : undefined;
+
+		if (isVersionRange(version)) {
+			return {version: version.trim(), path, field: `${field}.purescript`};
+		}
+	}
+
+	if (isPlainObj(pkg.engines) && pkg.engines.purs !== undefined) {
+		if (!isVersionRange(pkg.engines.purs)) {
+			throw createInvalidVersionError(pkg.engines.purs, `\`engines.purs\` field of ${path}`);
+		}
+
+		return {version: pkg.engines.purs.trim(), path, field: 'engines.purs'};
+	}
+
+	return null;
+}
+
+function fromVersionFile(dir) {
+	const path = join(dir, VERSION_FILE_NAME);
+	const contents = readFileIfExists(path);
+
+	if (contents === null) {
+		return null;
+	}
+
+	if (contents.trim().length === 0 || !isVersionRange(contents)) {
+		throw createInvalidVersionError(contents.trim(), `the contents of ${path}`);
+	}
+
+	return {version: contents.trim(), path, field: null};
+}
+
+function fromSpagoYaml(dir) {
+	const path = join(dir, 'spago.yaml');
+	// every scalar is read as a string, otherwise an unquoted `0.10` would become `0.1`
+	const config = parseFile(path, contents => jsYaml.safeLoad(contents, {filename: path, schema: jsYaml.FAILSAFE_SCHEMA}));
+
+	if (!isPlainObj(config) || !isPlainObj(config.workspace) || config.workspace.compiler === undefined) {
+		return null;
+	}
+
+	const {compiler} = config.workspace;
+
+	if (!isVersionRange(compiler)) {
+		throw createInvalidVersionError(compiler, `\`workspace.compiler\` field of ${path}`);
+	}
+
+	return {version: compiler.trim(), path, field: 'workspace.compiler'};
+}
+
+module.exports = function readPurescriptProjectVersion(...args) {
+	const argLen = args.length;
+
+	if (argLen > 1) {
+		throw new RangeError(`Expected 0 or 1 argument ([<string>]), but got ${argLen} arguments.`);
+	}
+
+	const [dir = process.cwd()] = args;
+
+	if (typeof dir !== 'string') {
+		throw new TypeError(`Expected a path of the project directory, but got a non-string value ${inspect(dir)}.`);
+	}
+
+	const resolvedDir = resolve(dir);
+
+	for (const read of [fromPackageJson, fromVersionFile, fromSpagoYaml]) {
+		const result = read(resolvedDir);
+
+		if (result !== null) {
+			return result;
+		}
+	}
+
+	return null;
+};
+
+Object.defineProperty(module.exports, 'versionFileName', {
+	enumerable: true,
+	value: VERSION_FILE_NAME
+});
@@ -0,0 +1,135 @@
+'use strict';
+
+const {basename} = require('path');
+const {inspect} = require('util');
+
+const getArch = require('arch');
+const isPlainObj = require('is-plain-obj');
+const semver = require('semver');
+
+const arch = process.arch === 'arm64' ? 'arm64' : getArch();
+const templateRe = /\{(\w+)\}/gu;
+
+const tools = new Map([
+	[
+		'spago',
+		{
+			name: 'spago',
+			defaultVersion: '0.21.0',
+			urlTemplate: 'https://github.com/purescript/spago/releases/download/{version}/{archive}.tar.gz',
+			archives: [
+				{platform: 'linux', arch: 'x64', name: 'Linux'},
+				{platform: 'darwin', arch: 'x64', name: 'macOS'},
+				// runs on Apple Silicon through Rosetta 2
+				{platform: 'darwin', arch: 'arm64', name: 'macOS'},
+				{platform: 'win32', arch: 'x64', name: 'Windows'}
+			],
+			filter(filePath) {
+				return basename(filePath, '.exe') === 'spago';
+			},
+			versionArgs: ['--version']
+		}
+	]
+]);
+
+function validateToolDescriptor(descriptor) {
+	if (!isPlainObj(descriptor)) {
+		throw new TypeError(`Expected a tool descriptor object, but got ${inspect(descriptor)}.`);
+	}
+
+	if (typeof descriptor.name !== 'string' || descriptor.name.length === 0) {
+		throw new TypeError(`Expected \`name\` of a tool descriptor to be a non-empty string, but got ${inspect(descriptor.name)}.`);
+	}
+
+	if (typeof descriptor.urlTemplate !== 'string') {
+		throw new TypeError(`Expected \`urlTemplate\` of ${descriptor.name} tool descriptor to be a string, but got ${
+			inspect(descriptor.urlTemplate)
+		}.`);
+	}
+
+	if (!Array.isArray(descriptor.archives)) {
+		throw new TypeError(`Expected \`archives\` of ${descriptor.name} tool descriptor to be an array, but got ${
+			inspect(descriptor.archives)
+		}.`);
+	}
+
+	if (typeof descriptor.filter !== 'function') {
+		throw new TypeError(`Expected \`filter\` of ${descriptor.name} tool descriptor to be a function, but got ${
+			inspect(descriptor.filter)
+		}.`);
+	}
+
+	if (!Array.isArray(descriptor.versionArgs)) {
+		throw new TypeError(`Expected \`versionArgs\` of ${descriptor.name} tool descriptor to be an array, but got ${
+			inspect(descriptor.versionArgs)
+		}.`);
+	}
+}
+
+function getArchiveUrl(descriptor, version) {
+	const archive = descriptor.archives.find(candidate => candidate.platform === process.platform &&
+		candidate.arch === arch &&
+		(candidate.since === undefined || semver.gte(version, candidate.since)));
+
+	if (!archive) {
+		const error = new Error(`Prebuilt ${descriptor.name} ${version} binary is not provided for ${process.platform}-${arch}.`);
+
+		error.code = descriptor.archives.some(candidate => candidate.platform === process.platform) ?
+			'ERR_UNSUPPORTED_ARCH' :
+			'ERR_UNSUPPORTED_PLATFORM';
+		throw error;
+	}
+
+	const values = {
+		version,
+		archive: archive.name,
+		platform: process.platform,
+		arch
+	};
+
+	return descriptor.urlTemplate.replace(templateRe, (placeholder, key) => values[key] === undefined ? placeholder : values[key]);
+}
+
+function parseToolSpec(spec) {
+	const atIndex = spec.lastIndexOf('@');
+	const name = atIndex > 0 ? spec.slice(0, atIndex) : spec;
+	const descriptor = tools.get(name);
+
+	if (!descriptor) {
+		const error = new Error(`Unknown tool ${inspect(name)}. Supported tools: ${[...tools.keys()].join(', ')}`);
+
+		error.code = 'ERR_UNKNOWN_TOOL';
+		throw error;
+	}
+
+	if (atIndex <= 0) {
+		return {descriptor, version: descriptor.defaultVersion};
+	}
+
+	const version = semver.valid(spec.slice(atIndex + 1));
+
+	if (!version) {
+		throw new Error(`Expected ${name} version in ${inspect(spec)} to be an exact version, for example '${
+			descriptor.defaultVersion
+		}'.`);
+	}
+
+	return {descriptor, version};
+}
+
+module.exports = tools;
+
+Object.defineProperties(module.exports, {
+	getArchiveUrl: {
+		enumerable: true,
+		value: getArchiveUrl
+	},
+	parseToolSpec: {
+		enumerable: true,
+		value: parseToolSpec
+	},
+	validateToolDescriptor: {
+		enumerable: true,
+		value: validateToolDescriptor
+	}
+});
@@ -0,0 +1,328 @@
+'use strict';
+
+const {spawn} = require('child_process');
+const {randomBytes} = require('crypto');
+const fs = require('fs');
+const {dirname, join, relative, resolve, sep} = require('path');
+const {inspect, promisify} = require('util');
+
+const envPaths = require('env-paths');
+const semver = require('semver');
+
+const readPurescriptProjectVersion = require('../purescript-project-version/index.js');
+
+const PREFIX_ERROR = 'Expected `prefix` option to be a path of the directory to install PureScript versions in';
+const defaultPrefix = envPaths('purescript', {suffix: ''}).data;
+const binName = `purs${process.platform === 'win32' ? '.exe' : ''}`;
+// Windows cannot run a script with a shebang, so the script is run through a batch file there
+const shimNames = process.platform === 'win32' ? ['purs.js', 'purs.cmd'] : ['purs'];
+// The directory that contains this package and its dependencies: the package itself in a checkout,
+// or the project whose node_modules it's installed in, for example the npx cache
+const packageRoot = dirname(__dirname);
+const nodeModulesIndex = packageRoot.indexOf(`${sep}node_modules${sep}`);
+const runtimeRoot = nodeModulesIndex === -1 ? packageRoot : packageRoot.slice(0, nodeModulesIndex);
+// The modules of this repository the shim loads, and the npm packages they require.
+// The dependencies of the packages are copied as well.
+const runtimeModules = [
+	'npm-network-config',
+	'purescript-project-version',
+	'purescript-versions',
+	'resolve-purescript-version'
+];
+const runtimePackages = ['env-paths', 'is-plain-obj', 'js-yaml', 'semver'];
+
+function getPrefix(options = {}) {
+	if (options.prefix === undefined) {
+		return defaultPrefix;
+	}
+
+	if (typeof options.prefix !== 'string') {
+		throw new TypeError(`${PREFIX_ERROR}, but got a non-string value ${inspect(options.prefix)}.`);
+	}
+
+	if (options.prefix.length === 0) {
+		throw new Error(`${PREFIX_ERROR}, but got '' (empty string).`);
+	}
+
+	return resolve(options.prefix);
+}
+
+function getBinPath(version, options) {
+	if (!semver.valid(version)) {
+		throw new Error(`Expected a PureScript version, for example '0.13.0', but got ${inspect(version)}.`);
+	}
+
+	return join(getPrefix(options), 'versions', semver.valid(version), binName);
+}
+
+function getShimPath(options) {
+	return join(getPrefix(options), 'bin', shimNames[shimNames.length - 1]);
+}
+
+function readVersions(prefix) {
+	let names;
+
+	try {
+		names = fs.readdirSync(join(prefix, 'versions'));
+	} catch (err) {
+		if (err.code === 'ENOENT') {
+			return [];
+		}
+
+		throw err;
+	}
+
+	return names.filter(name => semver.valid(name) === name && fs.existsSync(join(prefix, 'versions', name, binName)))
+	.sort(semver.rcompare);
+}
+
+async function ls(options) {
+	const prefix = getPrefix(options);
+
+	return readVersions(prefix).map(version => ({
+		version,
+		path: join(prefix, 'versions', version, binName)
+	}));
+}
+
+// The nearest directory from *dir* whose files specify a PureScript version, as npm looks for package.json
+function findProjectVersion(dir) {
+	let current = resolve(dir);
+
+	for (;;) {
+		const projectVersion = readPurescriptProjectVersion(current);
+
+		if (projectVersion) {
+			return projectVersion;
+		}
+
+		const parent = dirname(current);
+
+		if (parent === current) {
+			return null;
+		}
+
+		current = parent;
+	}
+}
+
+function selectVersion(range, versions) {
+	const trimmedRange = range.trim();
+
+	if (trimmedRange === 'latest') {
+		return versions.find(version => semver.prerelease(version) === null) || null;
+	}
+
+	if (trimmedRange === 'latest-prerelease') {
+		return versions[0] || null;
+	}
+
+	return semver.maxSatisfying(versions, trimmedRange);
+}
+
+function createShimError(message) {
+	const error = new Error(message);
+
+	error.code = 'ERR_PURESCRIPT_NOT_INSTALLED';
+
+	return error;
+}
+
+// Without a project that specifies a version, the newest installed version is used
+function resolveShimTarget(dir, options) {
+	const prefix = getPrefix(options);
+	const versions = readVersions(prefix);
+	const projectVersion = findProjectVersion(dir);
+
+	if (projectVersion === null) {
+		if (versions.length === 0) {
+			throw createShimError(`No PureScript version is installed in ${prefix}. Install one with \`install-purescript --global\`.`);
+		}
+
+		return {version: versions[0], path: join(prefix, 'versions', versions[0], binName), projectVersion};
+	}
+
+	const version = selectVersion(projectVersion.version, versions);
+
+	if (version === null) {
+		throw createShimError(`PureScript ${projectVersion.version} specified by ${projectVersion.path} is not installed in ${
+			prefix
+		}. Install it with \`install-purescript --global --purs-ver '${projectVersion.version}'\`.`);
+	}
+
+	return {version, path: join(prefix, 'versions', version, binName), projectVersion};
+}
+
+// Look for an installed package from *dir* in the same way as `require()`
+function findPackageDir(name, dir) {
+	for (let current = dir; ; current = dirname(current)) {
+		const packageDir = join(current, 'node_modules', name);
+
+		if (fs.existsSync(join(packageDir, 'package.json'))) {
+			return packageDir;
+		}
+
+		if (dirname(current) === current) {
+			throw new Error(`Expected ${name} to be installed for the runtime of the PureScript shim, but it's not found from ${dir}.`);
+		}
+	}
+}
+
+// The files of *dir* except for the packages nested in it, which are listed as dependencies instead
+async function listFiles(dir) {
+	const files = [];
+
+	for (const entry of await promisify(fs.readdir)(dir, {withFileTypes: true})) {
+		if (entry.isDirectory()) {
+			if (entry.name !== 'node_modules') {
+				files.push(...await listFiles(join(dir, entry.name)));
+			}
+		} else if (entry.isFile()) {
+			files.push(join(dir, entry.name));
+		}
+	}
+
+	return files;
+}
+
+// The files the shim runs, relative to `runtimeRoot`
+async function listRuntimeFiles() {
+	const dirs = new Set(runtimeModules.map(name => join(packageRoot, name)));
+	const pending = runtimePackages.map(name => findPackageDir(name, packageRoot));
+
+	while (pending.length !== 0) {
+		const packageDir = pending.pop();
+
+		if (dirs.has(packageDir)) {
+			continue;
+		}
+
+		dirs.add(packageDir);
+
+		const {dependencies = {}} = JSON.parse(await promisify(fs.readFile)(join(packageDir, 'package.json'), 'utf8'));
+
+		for (const name of Object.keys(dependencies)) {
+			pending.push(findPackageDir(name, packageDir));
+		}
+	}
+
+	const files = [];
+
+	for (const dir of dirs) {
+		const relativePath = relative(runtimeRoot, dir);
+
+		if (relativePath.startsWith('..')) {
+			throw new Error(`Expected the runtime of the PureScript shim to be in ${runtimeRoot}, but ${dir} is outside of it.`);
+		}
+
+		files.push(...(await listFiles(dir)).map(file => relative(runtimeRoot, file)));
+	}
+
+	return files;
+}
+
+// The shim runs a copy of this module and its dependencies in <prefix>/lib,
+// so that it keeps working after the installer is removed or moved
+async function copyRuntime(libDir) {
+	// only the installer copies the runtime, so the shim doesn't need rimraf
+	const rimraf = require('rimraf');
+	const tmpDir = `${libDir}-${randomBytes(4).toString('hex')}.tmp`;
+	const oldDir = `${libDir}-${randomBytes(4).toString('hex')}.old`;
+	let moved = false;
+
+	try {
+		for (const file of await listRuntimeFiles()) {
+			await promisify(fs.mkdir)(dirname(join(tmpDir, file)), {recursive: true});
+			await promisify(fs.copyFile)(join(runtimeRoot, file), join(tmpDir, file));
+		}
+
+		try {
+			await promisify(fs.rename)(libDir, oldDir);
+			moved = true;
+		} catch (err) {
+			if (err.code !== 'ENOENT') {
+				throw err;
+			}
+		}
+
+		try {
+			await promisify(fs.rename)(tmpDir, libDir);
+		} catch (err) {
+			// keep the existing shim working with the previous runtime
+			if (moved) {
+				await promisify(fs.rename)(oldDir, libDir);
+			}
+
+			throw err;
+		}
+	} finally {
+		await Promise.all([tmpDir, oldDir].map(dir => promisify(rimraf)(dir, {glob: false})));
+	}
+}
+
+async function writeShim(options) {
+	const prefix = getPrefix(options);
+	const binDir = join(prefix, 'bin');
+	const entry = relative(runtimeRoot, __filename).split(sep).join('/');
+	const script = `#!/usr/bin/env node
+// Created by purescript-installer to run the PureScript version the nearest project specifies
+'use strict';
+
+const {join} = require('path');
+
+require(join(__dirname, '../lib', ${JSON.stringify(entry)})).runShim(process.argv.slice(2), {prefix: join(__dirname, '..')});
+`;
+
+	await copyRuntime(join(prefix, 'lib'));
+	await promisify(fs.mkdir)(binDir, {recursive: true});
+	await promisify(fs.writeFile)(join(binDir, shimNames[0]), script, {mode: 0o755});
+
+	if (shimNames.length > 1) {
+		await promisify(fs.writeFile)(join(binDir, shimNames[1]), '@node "%~dp0purs.js" %*\r\n');
+	}
+
+	return getShimPath(options);
+}
+
+function runShim(args, options) {
+	let target;
+
+	try {
+		target = resolveShimTarget(process.cwd(), options);
+	} catch (err) {
+		console.error(err.message);
+		process.exitCode = 1;
+		return;
+	}
+
+	const cp = spawn(target.path, args, {stdio: 'inherit'});
+
+	cp.on('error', err => {
+		console.error(err.message);
+		process.exitCode = 1;
+	});
+
+	cp.on('exit', (code, signal) => {
+		if (signal) {
+			process.kill(process.pid, signal);
+			return;
+		}
+
+		process.exitCode = code;
+	});
+}
+
+module.exports = {
+	getBinPath,
+	getShimPath,
+	ls,
+	findProjectVersion,
+	resolveShimTarget,
+	writeShim,
+	runShim
+};
+
+Object.defineProperty(module.exports, 'defaultPrefix', {
+	enumerable: true,
+	value: defaultPrefix
+});
@@ -0,0 +1,136 @@
+'use strict';
+
+const {inspect} = require('util');
+
+const isPlainObj = require('is-plain-obj');
+const semver = require('semver');
+
+const {pickNetworkOptions} = require('../npm-network-config/index.js');
+
+const DEFAULT_RELEASES_URL = 'https://api.github.com/repos/purescript/purescript/releases';
+const RANGE_DESCRIPTION = 'a PureScript version, a semver range or a tag (\'latest\' or \'latest-prerelease\')';
+const RANGE_ERROR = `Expected ${RANGE_DESCRIPTION}`;
+const tags = new Set(['latest', 'latest-prerelease']);
+const nextLinkRe = /<([^>]+)>;\s*rel="next"/u;
+
+async function fetchReleases(url, options) {
+	// loaded on demand, as the modules that only use `tags`, including the `purs` shim, never fetch releases
+	const fetch = require('make-fetch-happen');
+	const {headers} = options;
+	const networkOptions = pickNetworkOptions(options);
+	const releases = [];
+	let nextUrl = new URL(url);
+
+	nextUrl.searchParams.set('per_page', '100');
+
+	while (nextUrl) {
+		const response = await fetch(nextUrl.href, {
+			headers: {
+				accept: 'application/vnd.github.v3+json',
+				...headers
+			},
+			...networkOptions
+		});
+
+		if (response.ok !== true) {
+			throw new Error(`Failed to fetch the list of PureScript releases from ${nextUrl.href}: ${response.status} ${response.statusText}`);
+		}
+
+		releases.push(...await response.json());
+
+		const nextLink = nextLinkRe.exec(response.headers.get('link') || '');
+		nextUrl = nextLink ? new URL(nextLink[1], nextUrl) : null;
+	}
+
+	return releases;
+}
+
+module.exports = async function resolvePurescriptVersion(...args) {
+	const argLen = args.length;
+
+	if (argLen !== 1 && argLen !== 2) {
+		throw new RangeError(`Expected 1 or 2 arguments (<string>[, <Object>]), but got ${
+			argLen === 0 ? 'no' : argLen
+		} arguments.`);
+	}
+
+	const [range, options = {}] = args;
+
+	if (typeof range !== 'string') {
+		throw new TypeError(`${RANGE_ERROR}, but got a non-string value ${inspect(range)}.`);
+	}
+
+	if (!isPlainObj(options)) {
+		throw new TypeError(`Expected an object to specify resolve-purescript-version options, but got ${inspect(options)}.`);
+	}
+
+	if (options.releasesUrl !== undefined && typeof options.releasesUrl !== 'string') {
+		throw new TypeError(`Expected \`releasesUrl\` option to be a URL of the GitHub releases API, but got ${
+			inspect(options.releasesUrl)
+		}.`);
+	}
+
+	if (options.versions !== undefined && !Array.isArray(options.versions)) {
+		throw new TypeError(`Expected \`versions\` option to be an array of candidate versions, but got ${
+			inspect(options.versions)
+		}.`);
+	}
+
+	const exactVersion = semver.valid(range);
+
+	if (exactVersion) {
+		return exactVersion;
+	}
+
+	if (!tags.has(range) && !semver.validRange(range)) {
+		const error = new Error(`${RANGE_ERROR}, but got ${inspect(range)}.`);
+
+		error.code = 'ERR_INVALID_VERSION_RANGE';
+		throw error;
+	}
+
+	const releases = options.versions ?
+		options.versions.map(version => ({tag_name: version})) :
+		await fetchReleases(options.releasesUrl || DEFAULT_RELEASES_URL, options);
+	const versions = [];
+
+	for (const release of releases) {
+		const version = semver.valid(release.tag_name);
+
+		if (release.draft || !version) {
+			continue;
+		}
+
+		if (range === 'latest' && (release.prerelease || semver.prerelease(version))) {
+			continue;
+		}
+
+		versions.push(version);
+	}
+
+	const resolved = tags.has(range) ? semver.maxSatisfying(versions, '*', {includePrerelease: true}) : semver.maxSatisfying(versions, range);
+
+	if (!resolved) {
+		const error = new Error(`No PureScript release matches ${inspect(range)}.`);
+
+		error.code = 'ERR_NO_MATCHING_VERSION';
+		throw error;
+	}
+
+	return resolved;
+};
+
+Object.defineProperties(module.exports, {
+	defaultReleasesUrl: {
+		enumerable: true,
+		value: DEFAULT_RELEASES_URL
+	},
+	rangeDescription: {
+		enumerable: true,
+		value: RANGE_DESCRIPTION
+	},
+	tags: {
+		enumerable: true,
+		value: tags
+	}
+});
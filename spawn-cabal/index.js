@@ -0,0 +1,113 @@
+'use strict';
+
+const util = require('util');
+const byline = require('byline');
+const execa = require('execa');
+const Observable = require('zen-observable');
+
+const INSTALL_URL = 'https://www.haskell.org/ghcup/';
+
+function addInstallUrl(err) {
+	err.INSTALL_URL = INSTALL_URL;
+	err.message = `\`cabal\` command is not found in your PATH. Make sure you have installed cabal-install, for example with GHCup. ${
+		err.INSTALL_URL
+	}`;
+
+	return err;
+}
+
+module.exports = function spawnCabal(...args) {
+	const argLen = args.length;
+
+	if (argLen !== 1 && argLen !== 2) {
+		return Promise.reject(new RangeError(`Expected 1 or 2 arguments (<Array<string>[, <Object>]), but got ${
+			argLen === 0 ? 'no' : argLen
+		} arguments.`));
+	}
+
+	const [cabalArgs] = args;
+
+	if (!Array.isArray(cabalArgs)) {
+		return Promise.reject(new TypeError(`Expected arguments of \`cabal\` command (Array<string>), but got a non-array value ${
+			util.inspect(cabalArgs)
+		}.`));
+	}
+
+	const lines = [];
+	let completed = false;
+	let error;
+
+	let observer = {
+		next(line) {
+			lines.push(line);
+		},
+		error(err) {
+			error = err;
+		},
+		complete() {
+			completed = true;
+		}
+	};
+
+	const cp = execa('cabal', cabalArgs, {preferLocal: false, ...args[1]});
+
+	// unlike Stack, cabal writes the build progress to stdout and only the diagnostics to stderr
+	for (const stream of [cp.stdout, cp.stderr]) {
+		stream.setEncoding('utf8');
+		byline(stream).on('data', line => observer.next(line));
+	}
+
+	cp.then(data => { // eslint-disable-line promise/prefer-await-to-then
+		observer.complete();
+		return data;
+	}, err => {
+		// execa replaces `code` of a spawn error with the exit code, and keeps the original one in `exitCodeName`
+		if (err.code === 'ENOENT' || err.exitCodeName === 'ENOENT') {
+			addInstallUrl(err);
+		}
+
+		if (err.killed) {
+			return;
+		}
+
+		observer.error(err);
+	});
+
+	cp[Symbol.observable] = () => new Observable(observerArg => { // eslint-disable-line no-use-extend-native/no-use-extend-native
+		observer = observerArg;
+
+		for (const line of lines) {
+			observer.next(line);
+		}
+
+		if (error !== undefined) {
+			observer.error(error);
+		} else if (completed) {
+			observer.complete();
+		}
+
+		return function killCabal() {
+			if (completed) {
+				return;
+			}
+
+			cp.kill();
+		};
+	});
+
+	return cp;
+};
+
+// The same error as the one for a missing `cabal` command, without trying to spawn it
+Object.defineProperty(module.exports, 'createNotFoundError', {
+	enumerable: true,
+	value() {
+		const error = new Error();
+
+		error.code = 'ENOENT';
+		error.command = 'cabal';
+		Error.captureStackTrace(error, module.exports.createNotFoundError);
+
+		return addInstallUrl(error);
+	}
+});
@@ -12,6 +12,20 @@ const HASHES = new Map([
 	['win32', 'windows']
 ]);
 
+function addInstallUrl(err) {
+	const hash = HASHES.get(process.platform);
+
+	err.INSTALL_URL = `https://docs.haskellstack.org/en/stable/install_and_upgrade/${
+		hash ? `#${hash}` : ''
+	}`;
+
+	err.message = `\`stack\` command is not found in your PATH. Make sure you have installed Stack. ${
+		err.INSTALL_URL
+	}`;
+
+	return err;
+}
+
 module.exports = function spawnStack(...args) {
 	const argLen = args.length;
 
@@ -62,16 +76,9 @@ module.exports = function spawnStack(...args) {
 		observer.complete();
 		return data;
 	}, err => {
-		if (err.code === 'ENOENT') {
-			const hash = HASHES.get(process.platform);
-
-			err.INSTALL_URL = `https://docs.haskellstack.org/en/stable/install_and_upgrade/${
-				hash ? `#${hash}` : ''
-			}`;
-
-			err.message = `\`stack\` command is not found in your PATH. Make sure you have installed Stack. ${
-				err.INSTALL_URL
-			}`;
+		// execa replaces `code` of a spawn error with the exit code, and keeps the original one in `exitCodeName`
+		if (err.code === 'ENOENT' || err.exitCodeName === 'ENOENT') {
+			addInstallUrl(err);
 		}
 
 		if (err.killed) {
@@ -105,3 +112,17 @@ module.exports = function spawnStack(...args) {
 
 	return cp;
 };
+
+// The same error as the one for a missing `stack` command, without trying to spawn it
+Object.defineProperty(module.exports, 'createNotFoundError', {
+	enumerable: true,
+	value() {
+		const error = new Error();
+
+		error.code = 'ENOENT';
+		error.command = 'stack';
+		Error.captureStackTrace(error, module.exports.createNotFoundError);
+
+		return addInstallUrl(error);
+	}
+});
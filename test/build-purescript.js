@@ -0,0 +1,177 @@
+'use strict';
+
+const {execFileSync} = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const tap = require('tap');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-purescript-test-'));
+const binDir = path.join(workDir, 'bin');
+const sourceDir = path.join(workDir, 'purescript');
+const outDir = path.join(workDir, 'out');
+const failFlag = path.join(workDir, 'fail');
+
+// the default build directories are created in $XDG_CACHE_HOME
+process.env.XDG_CACHE_HOME = path.join(workDir, 'cache');
+process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`;
+process.env.FAKE_CABAL_FAIL = failFlag;
+
+const buildPurescript = require('../build-purescript/index.js');
+
+let hasGit = true;
+
+try {
+	execFileSync('git', ['--version'], {stdio: 'ignore'});
+} catch (_) {
+	hasGit = false;
+}
+
+// a `cabal` command that only pretends to build
+fs.mkdirSync(binDir);
+fs.writeFileSync(path.join(binDir, 'cabal'), `#!/bin/sh
+case "$1" in
+  build) echo "Resolving dependencies..." ;;
+  install)
+    if [ -f "$FAKE_CABAL_FAIL" ]; then echo "src/Main.hs:1:1: error" >&2; exit 1; fi
+    for arg; do case "$arg" in --installdir=*) dir="\${arg#--installdir=}" ;; esac; done
+    echo "Copying 'purs' to '$dir/purs'"
+    cp purescript.cabal "$dir/purs" ;;
+esac
+`, {mode: 0o755});
+
+fs.mkdirSync(sourceDir);
+fs.mkdirSync(outDir);
+fs.writeFileSync(path.join(sourceDir, 'purescript.cabal'), 'name: purescript\n');
+process.chdir(outDir);
+
+function build(options) {
+	const events = [];
+
+	return new Promise((resolve, reject) => {
+		buildPurescript({builder: 'cabal', ...options}).subscribe({
+			next(event) {
+				events.push(event);
+			},
+			error(err) {
+				err.events = events;
+				reject(err);
+			},
+			complete() {
+				resolve(events);
+			}
+		});
+	});
+}
+
+tap.teardown(() => {
+	process.chdir(os.tmpdir());
+	rimraf.sync(workDir);
+});
+
+tap.test('keep the build directory after a failed build and continue from it', {
+	skip: (process.platform === 'win32' || !hasGit) && 'requires a POSIX shell and git'
+}, async t => {
+	const git = (...args) => execFileSync('git', args, {
+		cwd: sourceDir,
+		env: {
+			...process.env,
+			GIT_AUTHOR_NAME: 'test',
+			GIT_AUTHOR_EMAIL: 'test@example.org',
+			GIT_COMMITTER_NAME: 'test',
+			GIT_COMMITTER_EMAIL: 'test@example.org'
+		},
+		stdio: 'ignore'
+	});
+
+	git('init', '--quiet');
+	git('add', '.');
+	git('commit', '--quiet', '-m', 'Initial commit');
+
+	const buildDir = path.join(workDir, 'build');
+	const source = `git+file://${sourceDir}`;
+
+	fs.writeFileSync(failFlag, '');
+
+	const err = await build({source, buildDir}).catch(error => error);
+
+	t.equal(err.id, 'build', 'fails at the build step.');
+	t.equal(err.buildDir, buildDir, 'passes the kept build directory.');
+	t.same(err.logTail, ['Resolving dependencies...', 'src/Main.hs:1:1: error'], 'passes the last lines of the output.');
+	t.match(fs.readFileSync(err.logFile, 'utf8'), new RegExp([
+		'^\\[\\S+\\] \\$ cabal build exe:purs --only-dependencies --flags=release',
+		'\\[\\S+\\] Resolving dependencies\\.\\.\\.',
+		'\\[\\S+\\] \\$ cabal install exe:purs .*',
+		'\\[\\S+\\] src/Main\\.hs:1:1: error\\n$'
+	].join('\\n'), 'u'), 'writes every output line to the log file.');
+	t.equal(path.dirname(err.logFile), buildPurescript.defaultLogDir, 'writes the log to the default directory.');
+	t.ok(fs.existsSync(path.join(buildDir, 'purescript.cabal')), 'keeps the source.');
+
+	fs.writeFileSync(path.join(buildDir, 'dist-newstyle'), 'artifacts');
+	fs.unlinkSync(failFlag);
+
+	const events = await build({source, buildDir});
+
+	t.notOk(events.some(({id}) => id === 'download'), 'doesn\'t prepare the source again.');
+	t.ok(events.some(({id, reused}) => id === 'download:complete' && reused), 'sends `reused` property.');
+	t.equal(fs.readFileSync(path.join(buildDir, 'dist-newstyle'), 'utf8'), 'artifacts', 'keeps the build artifacts.');
+	t.ok(fs.existsSync(path.join(outDir, 'purs')), 'builds a binary.');
+	t.ok(fs.existsSync(buildDir), 'doesn\'t remove the specified build directory.');
+	t.equal(fs.readdirSync(buildPurescript.defaultLogDir).length, 1, 'removes the log of a successful build.');
+
+	fs.writeFileSync(path.join(sourceDir, 'Setup.hs'), 'main = pure ()\n');
+	git('add', '.');
+	git('commit', '--quiet', '-m', 'Add Setup.hs');
+
+	const eventsAfterCommit = await build({source, buildDir});
+
+	t.ok(eventsAfterCommit.some(({id}) => id === 'download'), 'prepares the source again after the branch moves.');
+	t.ok(fs.existsSync(path.join(buildDir, 'Setup.hs')), 'checks out the new commit.');
+	t.equal(fs.readFileSync(path.join(buildDir, 'dist-newstyle'), 'utf8'), 'artifacts', 'keeps the build artifacts of the previous commit.');
+});
+
+tap.test('remove the default build directory after a successful build', {
+	skip: process.platform === 'win32' && 'requires a POSIX shell'
+}, async t => {
+	await build({source: sourceDir});
+	t.same(fs.readdirSync(buildPurescript.defaultBuildRootDir), [], 'removes the directory.');
+
+	await build({source: sourceDir, keepBuildDir: true});
+
+	const [dirName] = fs.readdirSync(buildPurescript.defaultBuildRootDir);
+
+	t.match(dirName, /^local-[\da-f]{16}$/u, 'names a directory after the source.');
+	t.ok(fs.existsSync(path.join(buildPurescript.defaultBuildRootDir, dirName, 'purescript.cabal')), 'keeps the directory with `keepBuildDir` option.');
+});
+
+tap.test('create nothing when unsubscribed right after subscription', async t => {
+	const dirs = ['unused-build', 'unused-logs', 'unused-bin'].map(name => path.join(workDir, name));
+
+	buildPurescript({
+		builder: 'cabal',
+		source: sourceDir,
+		buildDir: dirs[0],
+		logFile: path.join(dirs[1], 'build.log'),
+		binDir: dirs[2]
+	}).subscribe({}).unsubscribe();
+
+	await new Promise(resolve => setTimeout(resolve, 100));
+	t.notOk(dirs.some(dir => fs.existsSync(dir)), 'doesn\'t create the build, log and binary directories.');
+});
+
+tap.test('refuse to use a non-empty directory as a build directory', async t => {
+	const err = await build({source: sourceDir, buildDir: sourceDir}).catch(error => error);
+
+	t.equal(err.code, 'ERR_BUILD_DIR_NOT_EMPTY');
+	t.ok(fs.existsSync(path.join(sourceDir, 'purescript.cabal')), 'doesn\'t remove any files.');
+});
+
+tap.test('reject an invalid `buildDir` option', t => {
+	buildPurescript({buildDir: ''}).subscribe({
+		error(err) {
+			t.equal(err.message, 'Expected `buildDir` option to be a path of the directory to build PureScript in, but got \'\' (empty string).');
+			t.end();
+		}
+	});
+});
@@ -0,0 +1,381 @@
+'use strict';
+
+const {execFileSync} = require('child_process');
+const {createHash, randomBytes} = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const tap = require('tap');
+const tar = require('tar');
+const yazl = require('yazl');
+
+const dlTar = require('../dl-tar/index.js');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dl-tar-test-'));
+const content = randomBytes(512 * 1024);
+
+function createArchive() {
+	const dir = fs.mkdtempSync(path.join(workDir, 'archive-'));
+
+	fs.mkdirSync(path.join(dir, 'archive'));
+	fs.writeFileSync(path.join(dir, 'archive', 'data'), content);
+	tar.c({file: path.join(dir, 'archive.tar'), cwd: dir, sync: true}, ['archive']);
+
+	return fs.readFileSync(path.join(dir, 'archive.tar'));
+}
+
+function createZipArchive() {
+	const zipfile = new yazl.ZipFile();
+	const chunks = [];
+
+	zipfile.addEmptyDirectory('archive/');
+	zipfile.addBuffer(content, 'archive/data');
+	zipfile.addBuffer(Buffer.from('#!/bin/sh\necho hi\n'), 'archive/bin/run', {mode: 0o100755});
+	zipfile.end();
+
+	return new Promise(resolve => {
+		zipfile.outputStream.on('data', chunk => chunks.push(chunk));
+		zipfile.outputStream.on('end', () => resolve(Buffer.concat(chunks)));
+	});
+}
+
+function compress(command) {
+	try {
+		return execFileSync(command, ['--compress', '--stdout'], {input: archive});
+	} catch (_) {
+		return null;
+	}
+}
+
+const archive = createArchive();
+const integrity = `sha512-${createHash('sha512').update(archive).digest('base64')}`;
+const compressedArchives = {
+	'/archive.tar.xz': compress('xz'),
+	'/archive.tar.bz2': compress('bzip2')
+};
+let zipArchive;
+const requests = [];
+const hangingRequests = new Set();
+
+const server = http.createServer((req, res) => {
+	requests.push({url: req.url, range: req.headers.range});
+
+	const count = requests.filter(({url}) => url === req.url).length;
+
+	// send the first half of the archive and then drop the connection
+	if (count === 1 && (req.url === '/resumable.tar' || req.url === '/non-resumable.tar' || req.url === '/total.tar' || req.url === '/slow-non-resumable.tar')) {
+		res.writeHead(200, {'content-length': archive.length});
+		res.write(archive.slice(0, archive.length / 2), () => setTimeout(() => req.socket.destroy(), 50));
+		return;
+	}
+
+	// send the first half of the archive and then stop sending data without closing the connection
+	if (count === 1 && req.url === '/stalling.tar') {
+		res.writeHead(200, {'content-length': archive.length});
+		res.write(archive.slice(0, archive.length / 2));
+		hangingRequests.add(req);
+		return;
+	}
+
+	// ignore `Range` and send the whole archive again, taking longer than `stallTimeout` to resend the received half
+	if (req.url === '/slow-non-resumable.tar') {
+		const chunkSize = Math.ceil(archive.length / 20);
+		let offset = 0;
+
+		res.writeHead(200, {'content-length': archive.length});
+
+		(function writeNext() {
+			if (offset >= archive.length) {
+				res.end();
+				return;
+			}
+
+			res.write(archive.slice(offset, offset + chunkSize), () => setTimeout(writeNext, 50));
+			offset += chunkSize;
+		})();
+
+		return;
+	}
+
+	// never respond
+	if (req.url === '/unresponsive.tar') {
+		hangingRequests.add(req);
+		return;
+	}
+
+	if ((req.url === '/resumable.tar' || req.url === '/stalling.tar' || req.url === '/total.tar') && req.headers.range) {
+		const start = Number(/^bytes=(\d+)-$/u.exec(req.headers.range)[1]);
+
+		res.writeHead(206, {
+			'content-length': archive.length - start,
+			'content-range': `bytes ${start}-${archive.length - 1}/${archive.length}`
+		});
+		res.end(archive.slice(start));
+		return;
+	}
+
+	if (req.url === '/resumable.tar' || req.url === '/non-resumable.tar') {
+		res.end(archive);
+		return;
+	}
+
+	// a chunked response without `Content-Length`
+	if (req.url === '/chunked.tar') {
+		res.write(archive);
+		res.end();
+		return;
+	}
+
+	if (req.url === '/archive.zip') {
+		res.end(zipArchive);
+		return;
+	}
+
+	// an URL without extension, as GitHub redirects release downloads to
+	if (req.url === '/download?id=1') {
+		res.setHeader('content-type', 'application/zip');
+		res.end(zipArchive);
+		return;
+	}
+
+	if (compressedArchives[req.url]) {
+		res.end(compressedArchives[req.url]);
+		return;
+	}
+
+	// act as a proxy that serves the archive for any host
+	if (req.url === 'http://archive.invalid/proxied.tar') {
+		res.end(archive);
+		return;
+	}
+
+	res.statusCode = req.url === '/unavailable.tar' ? 503 : 404;
+	res.end();
+});
+
+// Node.js 14 neither ends nor fails a response whose connection is closed,
+// so a dropped connection is only detected as a stall there
+const stallTimeout = 200;
+
+function download(url, options) {
+	const retries = [];
+
+	return new Promise((resolve, reject) => {
+		dlTar(`http://localhost:${server.address().port}${url}`, workDir, {
+			retry: {minTimeout: 10},
+			stallTimeout,
+			...options
+		}).subscribe({
+			next(progress) {
+				if (progress.retry) {
+					retries.push(progress.retry);
+				}
+			},
+			error(err) {
+				err.retries = retries;
+				reject(err);
+			},
+			complete() {
+				resolve(retries);
+			}
+		});
+	});
+}
+
+tap.teardown(() => {
+	for (const req of hangingRequests) {
+		req.socket.destroy();
+	}
+
+	server.close();
+	rimraf.sync(workDir);
+});
+
+tap.test('setup', async () => {
+	zipArchive = await createZipArchive();
+	await new Promise(resolve => server.listen(0, resolve));
+});
+
+tap.test('resume an interrupted download with a range request', async t => {
+	const retries = await download('/resumable.tar', {integrity});
+	const [, resumedRequest] = requests.filter(({url}) => url === '/resumable.tar');
+
+	t.equal(retries.length, 1, 'sends a retry notification.');
+	t.match(retries[0], {attempt: 1, retries: 3, delay: 10, offset: Number}, 'passes the retry details.');
+	t.ok(retries[0].offset > 0, 'keeps the bytes already received.');
+	t.equal(resumedRequest.range, `bytes=${retries[0].offset}-`, 'requests the rest of the archive.');
+	t.ok(fs.readFileSync(path.join(workDir, 'data')).equals(content), 'extracts the whole archive.');
+});
+
+tap.test('skip the received bytes when the server doesn\'t support range requests', async t => {
+	t.equal((await download('/non-resumable.tar', {integrity})).length, 1);
+	t.ok(fs.readFileSync(path.join(workDir, 'data')).equals(content), 'extracts the whole archive.');
+});
+
+tap.test('regard the skipped bytes as progress of a stalled download', async t => {
+	t.equal((await download('/slow-non-resumable.tar', {integrity})).length, 1, 'doesn\'t retry while the received bytes are sent again.');
+	t.ok(fs.readFileSync(path.join(workDir, 'data')).equals(content), 'extracts the whole archive.');
+});
+
+function collectTotals(url) {
+	const totals = new Set();
+
+	return new Promise((resolve, reject) => {
+		dlTar(`http://localhost:${server.address().port}${url}`, workDir, {retry: {minTimeout: 10}, stallTimeout}).subscribe({
+			next({response}) {
+				if (response) {
+					totals.add(response.total);
+				}
+			},
+			error: reject,
+			complete() {
+				resolve([...totals]);
+			}
+		});
+	});
+}
+
+tap.test('send the total size of the archive', async t => {
+	t.same(await collectTotals('/total.tar'), [archive.length], 'keeps the size across a resumed download.');
+	t.same(await collectTotals('/chunked.tar'), [null], 'sends null when the size is unknown.');
+});
+
+tap.test('give up after the configured number of retries', async t => {
+	const err = await download('/unavailable.tar', {retry: {retries: 2, minTimeout: 10, factor: 3}}).catch(error => error);
+
+	t.equal(err.message, '503 Service Unavailable', 'fails with the last error.');
+	t.same(err.retries.map(({attempt, delay}) => [attempt, delay]), [[1, 10], [2, 30]], 'waits longer before each retry.');
+});
+
+tap.test('don\'t retry a request for a missing archive', async t => {
+	const err = await download('/missing.tar').catch(error => error);
+
+	t.equal(err.message, '404 Not Found');
+	t.equal(err.retries.length, 0);
+});
+
+tap.test('disable retries', async t => {
+	const err = await download('/unavailable.tar', {retry: 0}).catch(error => error);
+
+	t.equal(err.retries.length, 0);
+});
+
+tap.test('resume a stalled download', async t => {
+	const retries = await download('/stalling.tar', {integrity, stallTimeout: 100});
+
+	t.equal(retries.length, 1, 'sends a retry notification.');
+	t.equal(retries[0].error.code, 'ERR_DOWNLOAD_STALLED', 'detects that no data arrives.');
+	t.ok(fs.readFileSync(path.join(workDir, 'data')).equals(content), 'extracts the whole archive.');
+});
+
+tap.test('time out when the server doesn\'t respond', async t => {
+	const err = await download('/unresponsive.tar', {connectTimeout: 100, retry: {retries: 1, minTimeout: 10}}).catch(error => error);
+
+	t.equal(err.code, 'ERR_DOWNLOAD_TIMEOUT');
+	t.match(err.message, /^No response from .* in 100 ms\.$/u);
+	t.equal(err.retries.length, 1, 'retries the request.');
+});
+
+tap.test('time out the whole download', async t => {
+	const err = await download('/unresponsive.tar', {connectTimeout: 0, downloadTimeout: 100}).catch(error => error);
+
+	t.equal(err.code, 'ERR_DOWNLOAD_TIMEOUT');
+	t.match(err.message, /^Failed to download .* in 100 ms\.$/u);
+	t.equal(err.retries.length, 0, 'doesn\'t retry after the deadline.');
+});
+
+tap.test('reject an invalid timeout option', t => {
+	dlTar('https://example.org/archive.tar', workDir, {stallTimeout: -1}).subscribe({
+		error(err) {
+			t.equal(err.message, 'Expected `stallTimeout` option to be a non-negative number of milliseconds, or 0 or Infinity to disable the timeout, but got -1.');
+			t.end();
+		}
+	});
+});
+
+tap.test('download an archive through a proxy', async t => {
+	await new Promise((resolve, reject) => {
+		dlTar('http://archive.invalid/proxied.tar', workDir, {
+			proxy: `http://localhost:${server.address().port}`,
+			integrity
+		}).subscribe({error: reject, complete: resolve});
+	});
+
+	t.ok(fs.readFileSync(path.join(workDir, 'data')).equals(content), 'passes `proxy` option to make-fetch-happen.');
+});
+
+tap.test('extract a zip archive', async t => {
+	const url = `http://localhost:${server.address().port}/archive.zip`;
+	const entries = [];
+	const responses = [];
+
+	await new Promise((resolve, reject) => {
+		dlTar(url, path.join(workDir, 'zip')).subscribe({
+			next({entry, response}) {
+				entries.push([entry.path, entry.type, entry.size, entry.remain]);
+				responses.push(response);
+			},
+			error: reject,
+			complete: resolve
+		});
+	});
+
+	t.ok(fs.readFileSync(path.join(workDir, 'zip', 'data')).equals(content), 'strips the top level directory.');
+	t.equal(fs.statSync(path.join(workDir, 'zip', 'bin', 'run')).mode & 0o777, 0o755, 'keeps the file mode.');
+	t.same(entries[0], ['data', 'File', content.length, content.length], 'sends the first progress of each entry.');
+	t.same(entries.filter(([, , , remain]) => remain === 0).map(([entryPath]) => entryPath), [
+		'data',
+		'bin/run',
+		'bin/run'
+	], 'sends the last entry once again after the integrity is calculated.');
+	t.ok(responses.every(response => response.url === url && response.bytes === zipArchive.length), 'sends the response information.');
+});
+
+tap.test('detect a zip archive from `Content-Type`', async t => {
+	const filtered = [];
+
+	await new Promise((resolve, reject) => {
+		dlTar(`http://localhost:${server.address().port}/download?id=1`, path.join(workDir, 'filtered'), {
+			strip: 0,
+			filter(filePath) {
+				filtered.push(filePath);
+				return filePath === 'archive/bin/run';
+			}
+		}).subscribe({error: reject, complete: resolve});
+	});
+
+	t.same(filtered, ['archive', 'archive/data', 'archive/bin/run']);
+	t.same(fs.readdirSync(path.join(workDir, 'filtered', 'archive')), ['bin'], 'supports `filter` and `strip` options.');
+});
+
+for (const ext of ['xz', 'bz2']) {
+	const url = `/archive.tar.${ext}`;
+
+	tap.test(`extract a tar.${ext} archive`, {skip: !compressedArchives[url] && `${ext} command is not available`}, async t => {
+		await new Promise((resolve, reject) => {
+			dlTar(`http://localhost:${server.address().port}${url}`, path.join(workDir, ext)).subscribe({error: reject, complete: resolve});
+		});
+
+		t.ok(fs.readFileSync(path.join(workDir, ext, 'data')).equals(content));
+	});
+}
+
+tap.test('reject an invalid `format` option', t => {
+	dlTar('https://example.org/archive.tar', workDir, {format: 'rar'}).subscribe({
+		error(err) {
+			t.equal(err.message, 'Expected `format` option to be one of \'tar\', \'tar.gz\', \'tar.xz\', \'tar.bz2\' and \'zip\', but got \'rar\'.');
+			t.end();
+		}
+	});
+});
+
+tap.test('reject an invalid `retry` option', t => {
+	dlTar('https://example.org/archive.tar', workDir, {retry: {factor: -1}}).subscribe({
+		error(err) {
+			t.match(err.message, /^Expected `retry` option to be a number of retries or an object/u);
+			t.end();
+		}
+	});
+});
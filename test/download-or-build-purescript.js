@@ -0,0 +1,39 @@
+'use strict';
+
+const {execFile} = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const rimraf = require('rimraf');
+const tap = require('tap');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'download-or-build-purescript-test-'));
+
+tap.teardown(() => rimraf.sync(workDir));
+
+tap.test('exit right after failing when no builder is found', async t => {
+	const sourceDir = path.join(workDir, 'purescript');
+
+	fs.mkdirSync(sourceDir);
+	fs.writeFileSync(path.join(sourceDir, 'purescript.cabal'), 'name: purescript\n');
+
+	const start = Date.now();
+	// neither `stack` nor `cabal` is found in the empty PATH
+	const {stdout} = await util.promisify(execFile)(process.execPath, ['--eval', `
+		require(${JSON.stringify(require.resolve('../download-or-build-purescript/index.js'))})({
+			source: ${JSON.stringify(sourceDir)}
+		}).subscribe({
+			error(err) {
+				console.log(JSON.stringify({id: err.id, code: err.code, INSTALL_URL: err.INSTALL_URL}));
+			}
+		});
+	`], {cwd: workDir, env: {PATH: ''}, timeout: 30000});
+
+	t.match(JSON.parse(stdout), {
+		id: 'check-stack',
+		code: 'ENOENT',
+		INSTALL_URL: /^https:\/\/docs\.haskellstack\.org\//u
+	}, 'fails with the error of the missing Stack.');
+	t.ok(Date.now() - start < 5000, 'doesn\'t wait for the timeout of the builder check.');
+});
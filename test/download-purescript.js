@@ -0,0 +1,230 @@
+'use strict';
+
+const {createHash} = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const tap = require('tap');
+const tar = require('tar');
+
+const downloadPurescript = require('../download-purescript/index.js');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'download-purescript-test-'));
+const archiveName = {linux: 'linux64', darwin: 'macos', win32: 'win64'}[process.platform];
+const arm64ArchiveName = {linux: 'linux-arm64', darwin: 'macos-arm64'}[process.platform];
+const requestedUrls = [];
+
+// Create a release archive with the same layout as the official ones: a single
+// `purescript` directory containing the `purs` binary.
+function createArchive() {
+	const dir = fs.mkdtempSync(path.join(workDir, 'archive-'));
+
+	fs.mkdirSync(path.join(dir, 'purescript'));
+	fs.writeFileSync(path.join(dir, 'purescript', 'purs'), '#!/bin/sh\necho 0.13.0\n', {mode: 0o755});
+	tar.c({gzip: true, file: path.join(dir, 'archive.tar.gz'), cwd: dir, sync: true}, ['purescript']);
+
+	return fs.readFileSync(path.join(dir, 'archive.tar.gz'));
+}
+
+const archive = createArchive();
+const sha1 = createHash('sha1').update(archive).digest('hex');
+const sha256 = createHash('sha256').update(archive).digest('hex');
+
+const server = http.createServer((req, res) => {
+	// serve the same files under `/base/` with the GitHub layout, and under `/mirror/` with another layout
+	const url = req.url.replace(/^\/base\//u, '/').replace(/^\/mirror\//u, '/v');
+
+	requestedUrls.push(url);
+
+	// 0.15.9 is the first version whose native arm64 archives are published
+	if (url === `/v0.13.0/${archiveName}.tar.gz` || url === `/v0.15.9/${arm64ArchiveName}.tar.gz`) {
+		res.end(archive);
+		return;
+	}
+
+	if (url === `/v0.13.0/${archiveName}.sha` || url === `/v0.15.9/${arm64ArchiveName}.sha`) {
+		res.end(`${sha1}  ${path.basename(url, '.sha')}.tar.gz\n`);
+		return;
+	}
+
+	res.statusCode = 404;
+	res.end();
+});
+
+// Load another instance of download-purescript on a CPU with the given architecture,
+// because the architecture is detected only once when the module is loaded.
+function requireForArch(arch) {
+	const modulePath = require.resolve('../download-purescript/index.js');
+	const originalModule = require.cache[modulePath];
+	const originalArch = Object.getOwnPropertyDescriptor(process, 'arch');
+
+	Object.defineProperty(process, 'arch', {...originalArch, value: arch});
+	delete require.cache[modulePath];
+
+	try {
+		return require(modulePath);
+	} finally {
+		Object.defineProperty(process, 'arch', originalArch);
+		require.cache[modulePath] = originalModule;
+	}
+}
+
+function download(options, fn = downloadPurescript) {
+	return new Promise((resolve, reject) => {
+		fn(options).subscribe({
+			error: reject,
+			complete: resolve
+		});
+	});
+}
+
+tap.teardown(() => {
+	server.close();
+	process.chdir(__dirname);
+	rimraf.sync(workDir);
+});
+
+tap.test('setup', t => {
+	process.chdir(workDir);
+	server.listen(0, t.end);
+});
+
+tap.test('verify the archive against the published .sha file', async t => {
+	await download({
+		baseUrl: `http://localhost:${server.address().port}/`,
+		version: '0.13.0'
+	});
+
+	t.ok(fs.existsSync(path.join(workDir, 'purs')), 'extracts the binary.');
+});
+
+tap.test('verify the archive against the checksum passed to `checksum` option', async t => {
+	await download({
+		baseUrl: `http://localhost:${server.address().port}/`,
+		version: '0.13.0',
+		checksum: sha256
+	});
+
+	t.ok(fs.existsSync(path.join(workDir, 'purs')), 'extracts the binary.');
+});
+
+tap.test('extract the archive to the directory passed to `dest` option', async t => {
+	await download({
+		baseUrl: `http://localhost:${server.address().port}/`,
+		version: '0.13.0',
+		dest: path.join('..', path.basename(workDir), 'dest')
+	});
+
+	t.ok(fs.existsSync(path.join(workDir, 'dest', 'purs')), 'extracts the binary.');
+});
+
+tap.test('fail when the archive doesn\'t match the checksum', async t => {
+	await t.rejects(download({
+		baseUrl: `http://localhost:${server.address().port}/`,
+		version: '0.13.0',
+		checksum: '0'.repeat(64)
+	}), {
+		code: 'ERR_CHECKSUM_MISMATCH',
+		expected: `sha256-${Buffer.alloc(32).toString('base64')}`,
+		actual: `sha256-${Buffer.from(sha256, 'hex').toString('base64')}`
+	});
+});
+
+tap.test('verify the archive against `integrity` option instead of the .sha file', async t => {
+	const integrity = `sha512-${Buffer.alloc(64).toString('base64')}`;
+
+	await t.rejects(download({
+		baseUrl: `http://localhost:${server.address().port}/`,
+		version: '0.13.0',
+		integrity
+	}), {
+		code: 'ERR_CHECKSUM_MISMATCH',
+		expected: integrity,
+		actual: `sha512-${createHash('sha512').update(archive).digest('base64')}`
+	});
+});
+
+tap.test('fail when the .sha file is not published', async t => {
+	await t.rejects(download({
+		baseUrl: `http://localhost:${server.address().port}/`,
+		version: '0.0.1'
+	}), {
+		message: /404/u
+	});
+});
+
+tap.test('download the archive from a mirror', async t => {
+	rimraf.sync(path.join(workDir, 'purs'));
+
+	await download({
+		version: '0.13.0',
+		mirror: `http://localhost:${server.address().port}/base`
+	});
+
+	t.ok(fs.existsSync(path.join(workDir, 'purs')), 'supports a base URL without a trailing slash.');
+	rimraf.sync(path.join(workDir, 'purs'));
+
+	await download({
+		version: '0.13.0',
+		mirror: `http://localhost:${server.address().port}/mirror/{version}/{archive}.{ext}`
+	});
+
+	t.ok(fs.existsSync(path.join(workDir, 'purs')), 'supports a URL template.');
+});
+
+tap.test('reject an invalid `mirror` option', async t => {
+	await t.rejects(download({mirror: 'https://example.com/{version}/{archive}.tar.gz'}), {
+		message: /^Expected `mirror` option to be a base URL of PureScript releases or a URL template containing `\{ext\}`/u
+	});
+});
+
+tap.test('reject an invalid `checksum` option', async t => {
+	await t.rejects(download({checksum: 'not-a-checksum'}), {
+		message: /^Expected `checksum` option to be a hex-encoded/u
+	});
+});
+
+tap.test('reject `checksum` and `integrity` options used together', async t => {
+	await t.rejects(download({checksum: sha256, integrity: `sha256-${Buffer.from(sha256, 'hex').toString('base64')}`}), {
+		message: '`checksum` and `integrity` options cannot be used together.'
+	});
+});
+
+tap.test('download the native archive on arm64', {skip: arm64ArchiveName === undefined}, async t => {
+	rimraf.sync(path.join(workDir, 'purs'));
+	requestedUrls.length = 0;
+
+	await download({
+		baseUrl: `http://localhost:${server.address().port}/`,
+		version: '0.15.9'
+	}, requireForArch('arm64'));
+
+	t.ok(fs.existsSync(path.join(workDir, 'purs')), 'extracts the binary.');
+	t.same(requestedUrls, [
+		`/v0.15.9/${arm64ArchiveName}.sha`,
+		`/v0.15.9/${arm64ArchiveName}.tar.gz`
+	], 'chooses the arm64 archive.');
+});
+
+tap.test('fail on arm64 Linux when no arm64 archive is provided for the version', {skip: process.platform !== 'linux'}, async t => {
+	await t.rejects(download({version: '0.13.0'}, requireForArch('arm64')), {
+		code: 'ERR_UNSUPPORTED_ARCH',
+		currentArch: 'arm64',
+		message: 'The prebuilt PureScript binaries for arm64 architecture are only provided for 0.15.9 and later, but 0.13.0 was requested.'
+	});
+});
+
+tap.test('fall back to the x64 archive on arm64 macOS for an older version', {skip: process.platform !== 'darwin'}, async t => {
+	rimraf.sync(path.join(workDir, 'purs'));
+	requestedUrls.length = 0;
+
+	await download({
+		baseUrl: `http://localhost:${server.address().port}/`,
+		version: '0.13.0'
+	}, requireForArch('arm64'));
+
+	t.ok(fs.existsSync(path.join(workDir, 'purs')), 'extracts the binary that runs under Rosetta 2.');
+	t.same(requestedUrls, ['/v0.13.0/macos.sha', '/v0.13.0/macos.tar.gz']);
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const tap = require('tap');
+
+const fileLock = require('../file-lock/index.js');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-lock-test-'));
+
+tap.teardown(() => rimraf.sync(workDir));
+
+function subscribe(observable) {
+	const events = [];
+	const waiters = new Map();
+	const subscription = observable.subscribe({
+		next(event) {
+			events.push(event.id);
+
+			if (waiters.has(event.id)) {
+				waiters.get(event.id)();
+			}
+		}
+	});
+
+	return {
+		events,
+		subscription,
+		waitFor(id) {
+			return events.includes(id) ? Promise.resolve() : new Promise(resolve => waiters.set(id, resolve));
+		}
+	};
+}
+
+tap.test('hold the lock until unsubscription', async t => {
+	const lockPath = path.join(workDir, 'locks', 'a.lock');
+	const first = subscribe(fileLock(lockPath));
+
+	await first.waitFor('lock');
+	t.same(first.events, ['lock'], 'acquires a free lock.');
+	t.ok(fs.statSync(lockPath).isDirectory(), 'creates a directory with its parent directories.');
+
+	const second = subscribe(fileLock(lockPath));
+
+	await second.waitFor('wait-lock');
+	first.subscription.unsubscribe();
+	await second.waitFor('lock');
+	t.same(second.events, ['wait-lock', 'lock'], 'waits for the lock to be released.');
+
+	second.subscription.unsubscribe();
+	t.notOk(fs.existsSync(lockPath), 'removes the directory when unsubscribed.');
+});
+
+tap.test('take over a stale lock', async t => {
+	const lockPath = path.join(workDir, 'stale.lock');
+	const past = new Date(Date.now() - 60000);
+
+	fs.mkdirSync(lockPath);
+	fs.utimesSync(lockPath, past, past);
+
+	const {events, subscription, waitFor} = subscribe(fileLock(lockPath, {staleTimeout: 30000}));
+
+	await waitFor('lock');
+	t.same(events, ['lock']);
+	subscription.unsubscribe();
+});
+
+tap.test('let only one of the waiters take over a stale lock', async t => {
+	const dir = path.join(workDir, 'competition');
+	const lockPath = path.join(dir, 'a.lock');
+	const past = new Date(Date.now() - 60000);
+	const originalStat = fs.stat;
+	let statCount = 0;
+
+	fs.mkdirSync(lockPath, {recursive: true});
+	fs.utimesSync(lockPath, past, past);
+
+	// The second waiter sees the stale lock as well, but acts on it only after the first one has taken it over.
+	fs.stat = (filePath, callback) => originalStat(filePath, (...results) => {
+		if (filePath === lockPath && ++statCount === 2) {
+			setTimeout(callback, 50, ...results);
+			return;
+		}
+
+		callback(...results);
+	});
+	t.teardown(() => {
+		fs.stat = originalStat;
+	});
+
+	const waiters = [
+		subscribe(fileLock(lockPath, {staleTimeout: 30000})),
+		subscribe(fileLock(lockPath, {staleTimeout: 30000}))
+	];
+
+	await waiters[0].waitFor('lock');
+	// let the second waiter act on the stale lock and retry a few times
+	await new Promise(resolve => setTimeout(resolve, 300));
+
+	t.same(waiters.map(({events}) => events), [['lock'], ['wait-lock']], 'gives the lock to only one waiter.');
+	t.same(fs.readdirSync(dir), ['a.lock'], 'keeps the lock of the first waiter, and removes the stale one.');
+
+	waiters[0].subscription.unsubscribe();
+	await waiters[1].waitFor('lock');
+	t.same(waiters[1].events, ['wait-lock', 'lock'], 'gives the lock to the other waiter after it is released.');
+	waiters[1].subscription.unsubscribe();
+});
+
+tap.test('reject an invalid `staleTimeout` option', t => {
+	fileLock(path.join(workDir, 'c.lock'), {staleTimeout: 0}).subscribe({
+		error(err) {
+			t.equal(err.message, 'Expected `staleTimeout` option to be a positive number of milliseconds after which a lock that is no longer updated is taken over, but got 0.');
+			t.end();
+		}
+	});
+});
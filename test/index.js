@@ -2,9 +2,14 @@
 
 const fs = require('fs');
 const {execFile} = require('child_process');
+const {createHash} = require('crypto');
+const http = require('http');
+const os = require('os');
+const path = require('path');
 const util = require('util');
 const tap = require('tap');
 const rimraf = require('rimraf');
+const tar = require('tar');
 
 const installPurescript = require('../install-purescript/index.js');
 
@@ -111,9 +116,135 @@ tap.test('install a different version from cache', testInstall('0.12.5', [
 	{ id: 'check-binary' }
 ]));
 
+tap.test('install the first version from cache again', testInstall('0.13.0', [
+	{ id: 'search-cache', found: true },
+	{ id: 'restore-cache' },
+	{ id: 'check-binary' }
+]));
+
 tap.test('clean install', testInstall('0.15.0-alpha-06', [
 	{ id: 'search-cache', found: false },
 	{ id: 'download-binary' },
 	{ id: 'check-binary' },
 	{ id: 'write-cache' }
-]));
\ No newline at end of file
+]));
+
+tap.test('print every event as a JSON line with --reporter json', async t => {
+	const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'install-purescript-cli-test-'));
+	const archiveName = {linux: 'linux64', darwin: 'macos'}[process.platform];
+
+	fs.mkdirSync(path.join(workDir, 'purescript'));
+	fs.writeFileSync(path.join(workDir, 'purescript', 'purs'), '#!/bin/sh\necho 0.13.0\n', {mode: 0o755});
+	tar.c({gzip: true, file: path.join(workDir, 'archive.tar.gz'), cwd: workDir, sync: true}, ['purescript']);
+
+	const archive = fs.readFileSync(path.join(workDir, 'archive.tar.gz'));
+	// a mirror with the same layout as GitHub releases, so that the test doesn't depend on the network
+	const server = http.createServer((req, res) => {
+		if (req.url === `/v0.13.0/${archiveName}.tar.gz`) {
+			res.end(archive);
+			return;
+		}
+
+		if (req.url === `/v0.13.0/${archiveName}.sha`) {
+			res.end(createHash('sha1').update(archive).digest('hex'));
+			return;
+		}
+
+		res.statusCode = 404;
+		res.end();
+	});
+
+	t.teardown(() => {
+		server.close();
+		rimraf.sync(workDir);
+	});
+
+	await util.promisify(server.listen.bind(server))(0);
+
+	const {stdout} = await util.promisify(execFile)(process.execPath, [
+		path.join(__dirname, '..', 'index.js'),
+		'--purs-ver=0.13.0',
+		`--mirror=http://localhost:${server.address().port}/`,
+		'--reporter=json'
+	], {
+		cwd: workDir,
+		// keep the cache inside the working directory
+		env: {...process.env, HOME: workDir, XDG_CACHE_HOME: workDir},
+		timeout: 30000
+	});
+	const lines = stdout.trim().split('\n').map(line => JSON.parse(line));
+
+	t.ok(lines.every(({time}) => Number.isInteger(time)), 'adds a timestamp to every line.');
+	t.same(lines.map(({id}) => id).filter((id, i, ids) => id !== ids[i - 1]), [
+		'search-cache',
+		'head',
+		'head:complete',
+		'download-binary',
+		'download-binary:complete',
+		'check-binary',
+		'check-binary:complete',
+		'write-cache',
+		'write-cache:complete',
+		'write-lockfile',
+		'write-lockfile:complete',
+		'complete'
+	], 'prints one line per event.');
+	t.same(lines[lines.length - 1], {
+		time: lines[lines.length - 1].time,
+		id: 'complete',
+		path: path.join(workDir, 'purs'),
+		version: '0.13.0'
+	}, 'prints the installed binary at last.');
+});
+
+tap.test('build the binary from --source', {
+	skip: process.platform === 'win32' && 'requires a POSIX shell'
+}, async t => {
+	const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'install-purescript-cli-test-'));
+	const binDir = path.join(workDir, 'bin');
+	const sourceDir = path.join(workDir, 'patched-source');
+
+	t.teardown(() => rimraf.sync(workDir));
+
+	// a `cabal` command that only pretends to build, by copying the `purs` script of the source
+	fs.mkdirSync(binDir);
+	fs.writeFileSync(path.join(binDir, 'cabal'), `#!/bin/sh
+case "$1" in
+  install)
+    for arg; do case "$arg" in --installdir=*) dir="\${arg#--installdir=}" ;; esac; done
+    cp purs "$dir/purs" ;;
+esac
+`, {mode: 0o755});
+	fs.mkdirSync(sourceDir);
+	fs.writeFileSync(path.join(sourceDir, 'purescript.cabal'), 'name: purescript\n');
+	fs.writeFileSync(path.join(sourceDir, 'purs'), '#!/bin/sh\necho 0.15.2\n', {mode: 0o755});
+
+	const run = args => util.promisify(execFile)(process.execPath, [
+		path.join(__dirname, '..', 'index.js'),
+		`--source=${sourceDir}`,
+		'--builder=cabal',
+		`--build-dir=${path.join(workDir, 'build')}`,
+		...args
+	], {
+		cwd: workDir,
+		env: {...process.env, HOME: workDir, XDG_CACHE_HOME: workDir, PATH: `${binDir}${path.delimiter}${process.env.PATH}`},
+		timeout: 30000
+	});
+	const lines = (await run(['--reporter=json'])).stdout.trim().split('\n').map(line => JSON.parse(line));
+	const ids = lines.map(({id}) => id);
+
+	t.equal(ids[0], 'check-stack', 'starts with the builder check.');
+	t.ok(ids.includes('build:complete'), 'builds the source.');
+	t.notOk(ids.includes('search-cache') || ids.includes('head') || ids.includes('write-cache'), 'skips the cache and the prebuilt binary.');
+	t.match(JSON.parse(fs.readFileSync(path.join(workDir, 'purescript-installer.lock'), 'utf8')), {
+		version: '0.15.2',
+		source: 'build'
+	}, 'records the build to the lockfile.');
+
+	const {stdout} = await run([]);
+
+	t.match(stdout, `Installed to ${path.join(workDir, 'purs')}`, 'shows the progress with the default reporter.');
+	await t.rejects(run(['--purs-ver=0.13.0']), {
+		stderr: '--purs-ver cannot be used with --source.\n'
+	}, 'rejects a version.');
+});
@@ -0,0 +1,360 @@
+'use strict';
+
+const {createHash} = require('crypto');
+const {execFile} = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const cacache = require('cacache');
+const rimraf = require('rimraf');
+const tap = require('tap');
+const tar = require('tar');
+
+const installPurescript = require('../install-purescript/index.js');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'install-purescript-test-'));
+const cacheRootDir = path.join(workDir, 'cache');
+const archives = new Map();
+const brokenVersion = '0.13.9';
+let baseUrl;
+
+// Create a release archive with the same layout as the official ones, whose
+// `purs` binary is a shell script that prints the given version, or fails for `brokenVersion`.
+function getArchive(version) {
+	if (!archives.has(version)) {
+		const dir = fs.mkdtempSync(path.join(workDir, 'archive-'));
+		const script = version === brokenVersion ? 'exit 1' : `echo ${version}`;
+
+		fs.mkdirSync(path.join(dir, 'purescript'));
+		fs.writeFileSync(path.join(dir, 'purescript', 'purs'), `#!/bin/sh\n${script}\n`, {mode: 0o755});
+		tar.c({gzip: true, file: path.join(dir, 'archive.tar.gz'), cwd: dir, sync: true}, ['purescript']);
+		archives.set(version, fs.readFileSync(path.join(dir, 'archive.tar.gz')));
+	}
+
+	return archives.get(version);
+}
+
+// A stand-in for https://github.com/purescript/purescript/releases/download/
+const server = http.createServer((req, res) => {
+	const [, version, ext] = /^\/v([^/]+)\/[^/.]+\.(tar\.gz|sha)$/u.exec(req.url) || [];
+
+	if (!version) {
+		res.statusCode = 404;
+		res.end();
+		return;
+	}
+
+	const archive = getArchive(version);
+	res.end(ext === 'sha' ? `${createHash('sha1').update(archive).digest('hex')}  archive.tar.gz\n` : archive);
+});
+
+function summarizeEvents(observable) {
+	const ids = [];
+
+	return new Promise((resolve, reject) => {
+		observable.subscribe({
+			next(event) {
+				if (event.id !== ids[ids.length - 1]) {
+					ids.push(event.id);
+				}
+			},
+			error: reject,
+			complete() {
+				resolve(ids);
+			}
+		});
+	});
+}
+
+function install(options) {
+	return summarizeEvents(installPurescript({
+		cacheRootDir,
+		baseUrl,
+		...options
+	}));
+}
+
+function readLockfile() {
+	return JSON.parse(fs.readFileSync(path.join(workDir, 'purescript-installer.lock'), 'utf8'));
+}
+
+function getIntegrity(version) {
+	return `sha1-${createHash('sha1').update(getArchive(version)).digest('base64')}`;
+}
+
+async function getInstalledVersion() {
+	const {stdout} = await util.promisify(execFile)(path.join(workDir, 'purs'), ['--version']);
+	return stdout.trim();
+}
+
+tap.teardown(() => {
+	server.close();
+	process.chdir(__dirname);
+	rimraf.sync(workDir);
+});
+
+tap.test('setup', t => {
+	process.chdir(workDir);
+	server.listen(0, () => {
+		baseUrl = `http://localhost:${server.address().port}/`;
+		t.end();
+	});
+});
+
+tap.test('fail in offline mode when no cache is found', async t => {
+	fs.writeFileSync(path.join(workDir, 'purs'), '');
+
+	await t.rejects(install({version: '0.13.0', offline: true}), {
+		id: 'search-cache',
+		code: 'ERR_OFFLINE_CACHE_MISS'
+	});
+
+	t.ok(fs.existsSync(path.join(workDir, 'purs')), 'keeps the existing binary.');
+});
+
+tap.test('restore a cached binary in offline mode', async t => {
+	await install({version: '0.13.0'});
+
+	t.same(await install({version: '0.13.0', offline: true}), [
+		'search-cache',
+		'restore-cache',
+		'restore-cache:complete',
+		'check-binary',
+		'check-binary:complete',
+		'write-lockfile',
+		'write-lockfile:complete'
+	]);
+	t.equal(await getInstalledVersion(), '0.13.0');
+});
+
+tap.test('resolve a version range against the cached versions in offline mode', async t => {
+	const events = await install({version: '^0.13.0', offline: true, releasesUrl: 'http://localhost:1/'});
+
+	t.equal(events[0], 'resolve-version');
+	t.equal(await getInstalledVersion(), '0.13.0');
+});
+
+tap.test('keep the existing binary until a new one passes the check', async t => {
+	// no builder is found in PATH, so the fallback to building from source fails as well
+	await t.rejects(install({version: brokenVersion, builder: 'cabal'}));
+
+	t.equal(await getInstalledVersion(), '0.13.0', 'keeps the previous binary.');
+});
+
+tap.test('wait for a concurrent installation and reuse its cache', async t => {
+	// either of them may acquire the lock first
+	const [first, second] = (await Promise.all([
+		install({version: '0.13.2'}),
+		install({version: '0.13.2'})
+	])).sort((a, b) => Number(a[0] === 'wait-lock') - Number(b[0] === 'wait-lock'));
+
+	t.ok(first.includes('download-binary'), 'downloads a binary in the installation that acquires the lock.');
+	t.same(second.slice(0, 4), ['wait-lock', 'search-cache', 'restore-cache', 'restore-cache:complete'], 'restores the cache written by the other one.');
+	t.notOk(fs.existsSync(path.join(workDir, '.purs.lock')), 'releases the lock.');
+	t.same(
+		fs.readdirSync(path.join(cacheRootDir, 'locks')).filter(name => name.endsWith('.lock')),
+		[],
+		'releases the cache locks.'
+	);
+});
+
+tap.test('write a lockfile next to the binary', async t => {
+	await install({version: '0.13.1'});
+
+	t.match(readLockfile(), {
+		version: '0.13.1',
+		platform: process.platform,
+		url: /\/v0\.13\.1\/[^/]+\.tar\.gz$/u,
+		integrity: getIntegrity('0.13.1'),
+		source: 'download'
+	});
+
+	await install({version: '0.13.1'});
+
+	t.match(readLockfile(), {
+		version: '0.13.1',
+		integrity: getIntegrity('0.13.1'),
+		source: 'cache'
+	}, 'keeps the original archive integrity when the binary is restored from the cache.');
+});
+
+tap.test('install the locked version in frozen lockfile mode', async t => {
+	const lockfile = fs.readFileSync(path.join(workDir, 'purescript-installer.lock'), 'utf8');
+	const events = await install({frozenLockfile: true});
+
+	t.equal(events[0], 'resolve-version');
+	t.same(events.slice(-2), ['check-lockfile', 'check-lockfile:complete']);
+	t.equal(await getInstalledVersion(), '0.13.1');
+	t.equal(fs.readFileSync(path.join(workDir, 'purescript-installer.lock'), 'utf8'), lockfile, 'doesn\'t rewrite the lockfile.');
+});
+
+tap.test('fail when the locked version doesn\'t match `version` option', async t => {
+	await t.rejects(install({version: '^0.14.0', frozenLockfile: true}), {
+		id: 'resolve-version',
+		code: 'ERR_LOCKFILE_MISMATCH'
+	});
+});
+
+tap.test('refuse an archive whose integrity differs from the lockfile', async t => {
+	const lockfile = JSON.stringify({
+		...readLockfile(),
+		integrity: getIntegrity('0.13.2')
+	});
+	const {ino} = fs.statSync(path.join(workDir, 'purs'));
+	const failures = [];
+
+	fs.writeFileSync(path.join(workDir, 'purescript-installer.lock'), lockfile);
+
+	// no builder is found in PATH, so the fallback to building from source fails as well
+	await t.rejects(new Promise((resolve, reject) => {
+		installPurescript({cacheRootDir, baseUrl, frozenLockfile: true, builder: 'cabal'}).subscribe({
+			next(event) {
+				if (event.id === 'download-binary:fail') {
+					failures.push(event.error);
+				}
+			},
+			error: reject,
+			complete: resolve
+		});
+	}));
+
+	t.match(failures, [{
+		id: 'download-binary',
+		code: 'ERR_LOCKFILE_MISMATCH',
+		expected: getIntegrity('0.13.2'),
+		actual: getIntegrity('0.13.1')
+	}], 'rejects the prebuilt archive.');
+	t.equal(fs.statSync(path.join(workDir, 'purs')).ino, ino, 'keeps the previous binary.');
+	t.equal(fs.readFileSync(path.join(workDir, 'purescript-installer.lock'), 'utf8'), lockfile, 'doesn\'t rewrite the lockfile.');
+	t.ok(
+		Object.values(await cacache.ls(cacheRootDir))
+		.filter(({key}) => key.includes('0.13.1'))
+		.every(({metadata}) => metadata.archiveIntegrity === getIntegrity('0.13.1')),
+		'doesn\'t cache the binary.'
+	);
+});
+
+tap.test('fail when the lockfile doesn\'t exist in frozen lockfile mode', async t => {
+	rimraf.sync(path.join(workDir, 'purescript-installer.lock'));
+
+	await t.rejects(install({frozenLockfile: true}), {
+		id: 'resolve-version',
+		code: 'ERR_LOCKFILE_NOT_FOUND'
+	});
+});
+
+tap.test('install versions side by side with `prefix` option', {
+	skip: process.platform === 'win32' && 'requires a POSIX shell'
+}, async t => {
+	const prefix = path.join(workDir, 'global');
+	const projectDir = path.join(workDir, 'project');
+
+	t.same((await install({version: '0.14.0', prefix})).slice(-2), ['write-shim', 'write-shim:complete'], 'writes a shim instead of a lockfile.');
+	await install({version: '0.13.1', prefix});
+
+	const shimPath = path.join(prefix, 'bin', 'purs');
+
+	t.ok(fs.existsSync(path.join(prefix, 'versions', '0.14.0', 'purs')), 'keeps every installed version.');
+	t.notOk(fs.existsSync(path.join(workDir, 'purescript-installer.lock')), 'doesn\'t write a lockfile to the current working directory.');
+
+	fs.mkdirSync(path.join(projectDir, 'src'), {recursive: true});
+	fs.writeFileSync(path.join(projectDir, '.purs-version'), '~0.13.0\n');
+
+	const {stdout} = await util.promisify(execFile)(shimPath, ['--version'], {cwd: path.join(projectDir, 'src')});
+
+	t.equal(stdout.trim(), '0.13.1', 'creates a shim that runs the version the nearest project specifies.');
+	t.equal(
+		(await util.promisify(execFile)(shimPath, ['--version'], {cwd: prefix})).stdout.trim(),
+		'0.14.0',
+		'runs the newest version outside of a project.'
+	);
+});
+
+tap.test('install to a prefix outside of the current working directory', {
+	skip: process.platform === 'win32' && 'requires a POSIX shell'
+}, async t => {
+	const prefix = fs.mkdtempSync(path.join(os.tmpdir(), 'install-purescript-prefix-'));
+
+	t.teardown(() => rimraf.sync(prefix));
+
+	const events = await install({version: '0.14.5', prefix});
+	const {stdout} = await util.promisify(execFile)(path.join(prefix, 'versions', '0.14.5', 'purs'), ['--version']);
+
+	t.ok(events.includes('download-binary:complete'), 'downloads a binary.');
+	t.equal(stdout.trim(), '0.14.5', 'extracts the binary into the prefix.');
+});
+
+tap.test('build a binary from `source` option', {
+	skip: process.platform === 'win32' && 'requires a POSIX shell'
+}, async t => {
+	const binDir = path.join(workDir, 'fake-bin');
+	const sourceDir = path.join(workDir, 'patched-source');
+	const originalPath = process.env.PATH;
+
+	// a `cabal` command that only pretends to build, by copying the `purs` script of the source
+	fs.mkdirSync(binDir);
+	fs.writeFileSync(path.join(binDir, 'cabal'), `#!/bin/sh
+case "$1" in
+  install)
+    for arg; do case "$arg" in --installdir=*) dir="\${arg#--installdir=}" ;; esac; done
+    cp purs "$dir/purs" ;;
+esac
+`, {mode: 0o755});
+	fs.mkdirSync(sourceDir);
+	fs.writeFileSync(path.join(sourceDir, 'purescript.cabal'), 'name: purescript\n');
+	fs.writeFileSync(path.join(sourceDir, 'purs'), '#!/bin/sh\necho 0.15.2\n', {mode: 0o755});
+	fs.mkdirSync(path.join(workDir, 'patched'));
+
+	process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+	t.teardown(() => {
+		process.env.PATH = originalPath;
+	});
+
+	const events = await install({
+		source: sourceDir,
+		builder: 'cabal',
+		buildDir: path.join(workDir, 'patched-build'),
+		rename: () => path.join('patched', 'purs')
+	});
+	const {stdout} = await util.promisify(execFile)(path.join(workDir, 'patched', 'purs'), ['--version']);
+
+	t.equal(events[0], 'check-stack', 'skips the cache and the prebuilt binary.');
+	t.ok(events.includes('build:complete'), 'builds the source.');
+	t.notOk(events.includes('write-cache'), 'doesn\'t cache the built binary.');
+	t.equal(stdout.trim(), '0.15.2', 'installs the built binary.');
+	t.match(JSON.parse(fs.readFileSync(path.join(workDir, 'patched', 'purescript-installer.lock'), 'utf8')), {
+		version: '0.15.2',
+		platform: process.platform,
+		url: null,
+		integrity: null,
+		source: 'build'
+	}, 'records the reported version and the build to the lockfile.');
+	t.notOk(Object.keys(await cacache.ls(cacheRootDir)).some(key => key.includes('0.15.2')), 'leaves the cache as it is.');
+});
+
+tap.test('reject options that cannot be used with `source` option', async t => {
+	await t.rejects(install({source: '../purescript', version: '0.13.0'}), {
+		message: '`version` option cannot be used with `source` option, but \'0.13.0\' was provided.'
+	});
+	await t.rejects(install({source: ''}), {
+		name: 'TypeError',
+		message: 'Expected `source` option to be a path of a local directory or tarball of PureScript source, or a git URL, but got \'\'.'
+	});
+});
+
+tap.test('download an archive from the HTTP cache in offline mode', async t => {
+	const cachePath = path.join(workDir, 'http-cache');
+
+	await install({version: '0.14.0', cachePath, forceReinstall: true});
+	rimraf.sync(cacheRootDir);
+	server.close();
+
+	await install({version: '0.14.0', offline: true, cachePath});
+	t.equal(await getInstalledVersion(), '0.14.0');
+
+	await t.rejects(install({version: '0.14.1', offline: true, cachePath}), {
+		code: 'ERR_OFFLINE_CACHE_MISS'
+	});
+});
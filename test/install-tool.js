@@ -0,0 +1,163 @@
+'use strict';
+
+const {execFile} = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const getArch = require('arch');
+const rimraf = require('rimraf');
+const tap = require('tap');
+const tar = require('tar');
+
+const installTool = require('../install-tool/index.js');
+const tools = require('../purescript-tools/index.js');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'install-tool-test-'));
+const cacheRootDir = path.join(workDir, 'cache');
+const brokenVersion = '9.9.9';
+let requestCount = 0;
+
+// Create an archive whose `bin/hello` is a shell script that prints the version, or fails for `brokenVersion`
+function createArchive(version) {
+	const dir = fs.mkdtempSync(path.join(workDir, 'archive-'));
+	const script = version === brokenVersion ? 'exit 1' : `echo ${version}`;
+
+	fs.mkdirSync(path.join(dir, 'bin'));
+	fs.writeFileSync(path.join(dir, 'bin', 'hello'), `#!/bin/sh\n${script}\n`, {mode: 0o755});
+	fs.writeFileSync(path.join(dir, 'README'), 'hello\n');
+	tar.c({gzip: true, file: path.join(dir, 'archive.tar.gz'), cwd: dir, sync: true}, ['bin', 'README']);
+
+	return fs.readFileSync(path.join(dir, 'archive.tar.gz'));
+}
+
+const server = http.createServer((req, res) => {
+	const [, version] = /^\/hello-([^/]+)-test\.tar\.gz$/u.exec(req.url) || [];
+
+	requestCount++;
+
+	if (!version) {
+		res.statusCode = 404;
+		res.end();
+		return;
+	}
+
+	res.end(createArchive(version));
+});
+
+const descriptor = {
+	name: 'hello',
+	defaultVersion: '1.0.0',
+	urlTemplate: '',
+	archives: [{platform: process.platform, arch: process.arch === 'arm64' ? 'arm64' : getArch(), name: 'test'}],
+	filter(filePath) {
+		return path.basename(filePath) === 'hello';
+	},
+	versionArgs: ['--version']
+};
+
+function install(options) {
+	const ids = [];
+
+	return new Promise((resolve, reject) => {
+		installTool(descriptor, {cacheRootDir, ...options}).subscribe({
+			next(event) {
+				if (event.id !== ids[ids.length - 1]) {
+					ids.push(event.id);
+				}
+			},
+			error: reject,
+			complete() {
+				resolve(ids);
+			}
+		});
+	});
+}
+
+tap.teardown(() => {
+	server.close();
+	process.chdir(__dirname);
+	rimraf.sync(workDir);
+});
+
+tap.test('setup', t => {
+	process.chdir(workDir);
+	server.listen(0, () => {
+		descriptor.urlTemplate = `http://localhost:${server.address().port}/hello-{version}-{archive}.tar.gz`;
+		t.end();
+	});
+});
+
+tap.test('download a tool with a custom descriptor', async t => {
+	t.same(await install({version: '1.2.3'}), [
+		'search-cache',
+		'download-binary',
+		'download-binary:complete',
+		'check-binary',
+		'check-binary:complete',
+		'write-cache',
+		'write-cache:complete'
+	]);
+
+	const {stdout} = await util.promisify(execFile)(path.join(workDir, 'hello'));
+
+	t.equal(stdout, '1.2.3\n', 'extracts the archive member selected by the descriptor\'s filter.');
+	t.notOk(fs.existsSync(path.join(workDir, 'README')), 'doesn\'t extract the other members.');
+});
+
+tap.test('restore a tool from the cache', async t => {
+	const count = requestCount;
+
+	t.same(await install({version: '1.2.3'}), [
+		'search-cache',
+		'restore-cache',
+		'restore-cache:complete',
+		'check-binary',
+		'check-binary:complete'
+	]);
+	t.equal(requestCount, count, 'doesn\'t access the network.');
+});
+
+tap.test('keep the existing binary until a new one passes the check', async t => {
+	await t.rejects(install({version: brokenVersion}), {id: 'check-binary'});
+
+	const {stdout} = await util.promisify(execFile)(path.join(workDir, 'hello'));
+
+	t.equal(stdout, '1.2.3\n', 'keeps the previous binary.');
+	t.notOk(fs.existsSync(path.join(workDir, '.hello.lock')), 'releases the lock.');
+});
+
+tap.test('fail in offline mode when no cache is found', async t => {
+	await t.rejects(install({version: '2.0.0', offline: true}), {
+		id: 'search-cache',
+		code: 'ERR_OFFLINE_CACHE_MISS'
+	});
+});
+
+tap.test('fail when the archive is not provided for the platform', async t => {
+	await t.rejects(new Promise((resolve, reject) => {
+		installTool({...descriptor, archives: []}, {cacheRootDir, forceReinstall: true}).subscribe({error: reject, complete: resolve});
+	}), {
+		id: 'download-binary',
+		code: 'ERR_UNSUPPORTED_PLATFORM'
+	});
+});
+
+tap.test('reject an invalid tool descriptor', t => {
+	installTool({...descriptor, filter: null}).subscribe({
+		error(err) {
+			t.match(err.message, /^Expected `filter` of hello tool descriptor to be a function/u);
+			t.end();
+		}
+	});
+});
+
+tap.test('built-in tool descriptors', t => {
+	t.ok(tools.has('spago'), 'includes spago.');
+	t.equal(tools.parseToolSpec('spago').version, tools.get('spago').defaultVersion, 'uses the default version.');
+	t.equal(tools.parseToolSpec('spago@0.20.9').version, '0.20.9');
+	t.throws(() => tools.parseToolSpec('foo@1.0.0'), {code: 'ERR_UNKNOWN_TOOL'});
+	t.throws(() => tools.parseToolSpec('spago@^0.20.0'), {message: /exact version/u});
+	t.end();
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const tap = require('tap');
+
+const npmNetworkConfig = require('../npm-network-config/index.js');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'npm-network-config-test-'));
+const certificate = '-----BEGIN CERTIFICATE-----\nMIIB\n-----END CERTIFICATE-----';
+
+tap.teardown(() => rimraf.sync(workDir));
+
+tap.test('read proxy and TLS settings from npm config', t => {
+	t.same(npmNetworkConfig({
+		npm_config_proxy: 'http://proxy.example.com:8080',
+		npm_config_https_proxy: 'http://secure-proxy.example.com:8080',
+		npm_config_noproxy: 'localhost,.internal',
+		npm_config_ca: certificate.replace(/\n/gu, '\\n'),
+		npm_config_cert: 'cert\\nbody',
+		npm_config_key: 'key\\nbody',
+		npm_config_strict_ssl: 'false'
+	}), {
+		proxy: 'http://secure-proxy.example.com:8080',
+		noProxy: 'localhost,.internal',
+		ca: certificate,
+		cert: 'cert\nbody',
+		key: 'key\nbody',
+		strictSSL: false
+	}, 'prefers `https-proxy` to `proxy`, and unescapes the PEM strings.');
+
+	t.same(npmNetworkConfig({
+		npm_config_proxy: 'http://proxy.example.com:8080',
+		npm_config_https_proxy: 'null',
+		npm_config_strict_ssl: 'true'
+	}), {
+		proxy: 'http://proxy.example.com:8080',
+		strictSSL: true
+	}, 'ignores unset values.');
+
+	t.same(npmNetworkConfig({}), {}, 'leaves everything to make-fetch-happen without npm config.');
+	t.end();
+});
+
+tap.test('prefer `https-proxy` to `proxy`', t => {
+	t.same(npmNetworkConfig({npm_config_proxy: 'http://proxy.example.com:8080'}), {
+		proxy: 'http://proxy.example.com:8080'
+	}, 'falls back to `proxy`.');
+	t.same(npmNetworkConfig({npm_config_https_proxy: 'http://secure-proxy.example.com:8080', npm_config_proxy: ''}), {
+		proxy: 'http://secure-proxy.example.com:8080'
+	}, 'uses `https-proxy` alone.');
+	t.same(npmNetworkConfig({npm_config_https_proxy: 'false', npm_config_proxy: 'http://proxy.example.com:8080'}), {}, 'disables the proxy with `https-proxy=false`.');
+	t.same(npmNetworkConfig({npm_config_proxy: 'false'}), {}, 'disables the proxy with `proxy=false`.');
+	t.end();
+});
+
+tap.test('unescape the PEM strings', t => {
+	t.same(npmNetworkConfig({npm_config_ca: `${certificate}\n${certificate}`.replace(/\n/gu, '\\n')}).ca, `${certificate}\n${certificate}`, 'unescapes every line break.');
+	t.same(npmNetworkConfig({npm_config_cert: certificate}).cert, certificate, 'keeps a string without escaped line breaks.');
+	t.end();
+});
+
+tap.test('read `strict-ssl`', t => {
+	t.equal(npmNetworkConfig({npm_config_strict_ssl: 'false'}).strictSSL, false, 'disables the verification only with `false`.');
+	t.equal(npmNetworkConfig({npm_config_strict_ssl: 'true'}).strictSSL, true);
+	t.equal(npmNetworkConfig({npm_config_strict_ssl: ''}).strictSSL, undefined, 'leaves an unset value to make-fetch-happen.');
+	t.end();
+});
+
+tap.test('read the CA certificates from `cafile`', t => {
+	const cafile = path.join(workDir, 'ca.pem');
+
+	fs.writeFileSync(cafile, `${certificate}\r\n${certificate}\r\n`);
+	t.same(npmNetworkConfig({npm_config_cafile: cafile, npm_config_ca: 'ignored'}).ca, [certificate, certificate], 'takes precedence over `ca`.');
+
+	fs.writeFileSync(cafile, `# Root CA 1\n${certificate}\n\nsubject=CN = Root CA 2\n${certificate}\n`);
+	t.same(npmNetworkConfig({npm_config_cafile: cafile}).ca, [certificate, certificate], 'ignores the text between the certificates.');
+
+	fs.writeFileSync(cafile, 'not a certificate');
+	t.throws(() => npmNetworkConfig({npm_config_cafile: cafile}), {code: 'ERR_INVALID_CAFILE'});
+	t.throws(() => npmNetworkConfig({npm_config_cafile: path.join(workDir, 'none.pem')}), {
+		code: 'ENOENT',
+		message: /^Failed to read the CA certificates from /u
+	});
+	t.end();
+});
+
+tap.test('pick the network options', t => {
+	t.same(npmNetworkConfig.pickNetworkOptions({proxy: 'http://proxy.example.com', strictSSL: false, headers: {}}), {
+		proxy: 'http://proxy.example.com',
+		strictSSL: false
+	});
+	t.end();
+});
+
+tap.test('reject invalid arguments', t => {
+	t.throws(() => npmNetworkConfig([]), {
+		name: 'TypeError',
+		message: 'Expected an object of environment variables, but got [].'
+	});
+	t.throws(() => npmNetworkConfig({}, {}), {
+		name: 'RangeError',
+		message: 'Expected 0 or 1 argument ([<Object>]), but got 2 arguments.'
+	});
+	t.end();
+});
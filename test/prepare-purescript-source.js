@@ -0,0 +1,139 @@
+'use strict';
+
+const {execFileSync} = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const tap = require('tap');
+const tar = require('tar');
+
+const preparePurescriptSource = require('../prepare-purescript-source/index.js');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prepare-purescript-source-test-'));
+const checkout = path.join(workDir, 'purescript');
+
+function git(...gitArgs) {
+	return execFileSync('git', gitArgs, {
+		cwd: checkout,
+		env: {
+			...process.env,
+			GIT_AUTHOR_NAME: 'test',
+			GIT_AUTHOR_EMAIL: 'test@example.org',
+			GIT_COMMITTER_NAME: 'test',
+			GIT_COMMITTER_EMAIL: 'test@example.org'
+		},
+		stdio: ['ignore', 'pipe', 'ignore']
+	}).toString().trim();
+}
+
+let hasGit = true;
+
+try {
+	execFileSync('git', ['--version'], {stdio: 'ignore'});
+} catch (_) {
+	hasGit = false;
+}
+
+fs.mkdirSync(path.join(checkout, 'app'), {recursive: true});
+fs.mkdirSync(path.join(checkout, '.stack-work', 'dist'), {recursive: true});
+fs.writeFileSync(path.join(checkout, 'stack.yaml'), 'resolver: lts-13.26\n');
+fs.writeFileSync(path.join(checkout, 'app', 'Main.hs'), 'main = pure ()\n');
+fs.writeFileSync(path.join(checkout, 'Setup.hs'), 'main = pure ()\n', {mode: 0o755});
+fs.writeFileSync(path.join(checkout, '.stack-work', 'dist', 'purs'), '');
+tar.c({file: path.join(workDir, 'purescript.tar.gz'), gzip: true, cwd: workDir, sync: true}, ['purescript/stack.yaml', 'purescript/app']);
+fs.writeFileSync(path.join(workDir, 'not-a-tarball'), 'Hello');
+
+function prepare(source) {
+	const dir = fs.mkdtempSync(path.join(workDir, 'dest-'));
+	const events = [];
+
+	return new Promise((resolve, reject) => {
+		preparePurescriptSource(dir, source).subscribe({
+			next(progress) {
+				events.push(progress);
+			},
+			error: reject,
+			complete() {
+				resolve({dir, events});
+			}
+		});
+	});
+}
+
+tap.teardown(() => rimraf.sync(workDir));
+
+tap.test('copy a local directory', async t => {
+	const {dir, events} = await prepare(checkout);
+
+	t.same(fs.readdirSync(dir).sort(), ['Setup.hs', 'app', 'stack.yaml'], 'skips `.stack-work` directory.');
+	t.equal(fs.readFileSync(path.join(dir, 'app', 'Main.hs'), 'utf8'), 'main = pure ()\n', 'copies files recursively.');
+	t.equal(fs.statSync(path.join(dir, 'Setup.hs')).mode & 0o777, 0o755, 'keeps the file mode.');
+	t.match(events.find(({entry}) => entry.path === 'stack.yaml'), {
+		entry: {type: 'File', size: 20, remain: 0, header: {path: 'stack.yaml'}}
+	}, 'sends an entry of each file.');
+});
+
+tap.test('extract a local tarball', async t => {
+	const {dir, events} = await prepare(path.join(workDir, 'purescript.tar.gz'));
+
+	t.same(fs.readdirSync(dir).sort(), ['app', 'stack.yaml'], 'strips the top level directory.');
+	t.ok(events.some(({entry}) => entry.path === 'stack.yaml'), 'sends an entry of each archive member.');
+});
+
+tap.test('fail when a file is not a tarball', async t => {
+	const err = await prepare(path.join(workDir, 'not-a-tarball')).catch(error => error);
+
+	t.equal(err.code, 'ERR_INVALID_SOURCE');
+});
+
+tap.test('fail when the source doesn\'t exist', async t => {
+	const err = await prepare(path.join(workDir, 'none')).catch(error => error);
+
+	t.equal(err.code, 'ENOENT');
+	t.match(err.message, /but nothing exists at .*none\.$/u);
+});
+
+tap.test('fetch a revision of a git repository', {skip: !hasGit && 'git command is not available'}, async t => {
+	git('init', '--quiet');
+	git('add', 'stack.yaml', 'app');
+	git('commit', '--quiet', '-m', 'Initial commit');
+	git('checkout', '--quiet', '-b', 'patched');
+	git('add', 'Setup.hs');
+	git('commit', '--quiet', '-m', 'Add Setup.hs');
+
+	const url = `git+file://${checkout.split(path.sep).join('/')}`;
+	const patched = await prepare(`${url}#patched`);
+
+	t.ok(fs.existsSync(path.join(patched.dir, 'Setup.hs')), 'checks out the specified branch.');
+	t.ok(patched.events.every(({command, output}) => command.startsWith('git ') && typeof output === 'string'), 'sends `git` command output.');
+
+	git('checkout', '--quiet', '-');
+
+	const master = await prepare(url);
+
+	t.notOk(fs.existsSync(path.join(master.dir, 'Setup.hs')), 'checks out HEAD by default.');
+
+	const err = await prepare(`${url}#unknown`).catch(error => error);
+
+	t.match(err.message, /unknown/u, 'fails when the revision doesn\'t exist.');
+});
+
+tap.test('resolve the commit of a git URL', {skip: !hasGit && 'git command is not available'}, async t => {
+	const url = `git+file://${checkout.split(path.sep).join('/')}`;
+	const commit = git('rev-parse', 'patched');
+
+	t.equal(await preparePurescriptSource.resolveGitCommit(`${url}#patched`), commit, 'looks up a branch.');
+	t.equal(await preparePurescriptSource.resolveGitCommit(`${url}#${commit}`), commit, 'returns a commit hash as it is.');
+	t.equal(await preparePurescriptSource.resolveGitCommit(`${url}#unknown`), null, 'returns null for an unknown ref.');
+	t.equal(await preparePurescriptSource.resolveGitCommit(checkout), null, 'returns null for a local path.');
+});
+
+tap.test('reject an invalid source', t => {
+	preparePurescriptSource(workDir, '').subscribe({
+		error(err) {
+			t.match(err.message, /^Expected a path of a local directory or tarball .*, but got '' \(empty string\)\.$/u);
+			t.end();
+		}
+	});
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+const tap = require('tap');
+
+const builders = require('../purescript-builders/index.js');
+const buildPurescript = require('../build-purescript/index.js');
+
+tap.test('stack builder', async t => {
+	const stack = builders.get('stack');
+
+	t.same(stack.getSetupArgs(['--no-terminal', '--fast']), ['--no-terminal', 'setup'], 'doesn\'t pass build-only flags to `stack setup`.');
+	t.same(stack.getBuildArgs(['--no-terminal', '--fast'], '/bin'), [
+		'--no-terminal',
+		'install',
+		'--local-bin-path=/bin',
+		'--flag=purescript:RELEASE',
+		'--fast'
+	], 'passes build-only flags to `stack install`.');
+	t.same(stack.getSetupArgs([], {jobs: 2, ghcOptions: ['-O0']}), ['--jobs=2', 'setup'], 'passes `jobs` to `stack setup`.');
+	t.same(stack.getBuildArgs([], '/bin', {jobs: 2, ghcOptions: ['-O0', '+RTS', '-M4G', '-RTS']}), [
+		'--jobs=2',
+		'install',
+		'--local-bin-path=/bin',
+		'--flag=purescript:RELEASE',
+		'--ghc-options=-O0 +RTS -M4G -RTS'
+	], 'passes `jobs` and `ghcOptions` to `stack install`.');
+	t.throws(() => stack.validateArgs(['--local-bin-path=/tmp']), {code: 'ERR_INVALID_OPT_VALUE'}, 'rejects `--local-bin-path`.');
+});
+
+tap.test('cabal builder', async t => {
+	const cabal = builders.get('cabal');
+
+	t.same(cabal.getSetupArgs(['--ghc-options=-O0']), ['build', 'exe:purs', '--only-dependencies', '--flags=release', '--ghc-options=-O0']);
+	t.same(cabal.getBuildArgs([], '/bin'), [
+		'install',
+		'exe:purs',
+		'--installdir=/bin',
+		'--install-method=copy',
+		'--overwrite-policy=always',
+		'--flags=release'
+	]);
+	t.same(
+		cabal.getSetupArgs([], {jobs: 4, ghcOptions: ['+RTS', '-M1G', '-RTS']}).slice(4),
+		['--jobs=4', '--ghc-options=+RTS -M1G -RTS'],
+		'passes `jobs` and `ghcOptions` to the setup step.'
+	);
+	t.same(
+		cabal.getBuildArgs([], '/bin', {jobs: 4, ghcOptions: ['+RTS', '-M1G', '-RTS']}).slice(6),
+		['--jobs=4', '--ghc-options=+RTS -M1G -RTS'],
+		'passes the same `jobs` and `ghcOptions` to the build step.'
+	);
+	t.throws(() => cabal.validateArgs(['--installdir=/tmp']), {code: 'ERR_INVALID_OPT_VALUE'}, 'rejects `--installdir`.');
+	t.throws(() => cabal.validateArgs(['--fast']), {
+		message: '`--fast` is a flag of `stack install` and cannot be used with the `cabal` builder, but provided for `args` option.'
+	}, 'rejects the build-only flags of Stack.');
+
+	const err = await cabal.spawn(['--numeric-version'], {env: {PATH: ''}, extendEnv: false}).catch(error => error);
+
+	t.equal(err.INSTALL_URL, 'https://www.haskell.org/ghcup/', 'points to the installation guide when `cabal` is not found.');
+	t.match(cabal.createNotFoundError(), {
+		code: 'ENOENT',
+		message: err.message,
+		INSTALL_URL: err.INSTALL_URL
+	}, 'creates the same error without spawning `cabal`.');
+});
+
+tap.test('create the error for a missing command', t => {
+	t.match(builders.get('stack').createNotFoundError(), {
+		code: 'ENOENT',
+		command: 'stack',
+		message: /^`stack` command is not found in your PATH\. /u,
+		INSTALL_URL: /^https:\/\/docs\.haskellstack\.org\//u
+	});
+	t.end();
+});
+
+tap.test('reject an unknown builder', t => {
+	buildPurescript({builder: 'make'}).subscribe({
+		error(err) {
+			t.equal(err.message, 'Expected `builder` option to be one of \'stack\' and \'cabal\', but got \'make\'.');
+			t.end();
+		}
+	});
+});
+
+tap.test('reject invalid build resource options', async t => {
+	const getError = options => new Promise(resolve => buildPurescript(options).subscribe({error: resolve}));
+
+	t.equal(
+		(await getError({jobs: 0})).message,
+		'Expected `jobs` option to be a positive integer, the number of modules and packages to build in parallel, but got 0.'
+	);
+	t.equal(
+		(await getError({ghcOptions: ['-O0', -1]})).message,
+		'Expected `ghcOptions` option to be a string or an array of strings, the options passed to GHC, but got [ \'-O0\', -1 ].'
+	);
+	t.equal(
+		(await getError({ghcOptions: ['-O0 -Wall']})).message,
+		'Expected `ghcOptions` option to be a string or an array of strings, the options passed to GHC, ' +
+		'each of which is a single option without whitespace, but got [ \'-O0 -Wall\' ].'
+	);
+	t.equal(
+		(await getError({memoryLimit: '4 GB'})).message,
+		'Expected `memoryLimit` option to be the maximum heap size of GHC, a positive integer of bytes or a string like \'4G\', but got \'4 GB\'.'
+	);
+});
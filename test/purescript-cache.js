@@ -0,0 +1,94 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cacache = require('cacache');
+const rimraf = require('rimraf');
+const tap = require('tap');
+
+const purescriptCache = require('../purescript-cache/index.js');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purescript-cache-test-'));
+const cacheRootDir = path.join(workDir, 'cache');
+const keys = [
+	'install-purescript:binary:0.13.0-linux-x64',
+	'install-purescript:binary:0.15.4-linux-x64',
+	'install-purescript:binary:0.15.5-alpha-01-linux-x64',
+	'install-purescript:binary:0.15.4-darwin-arm64',
+	'install-purescript:tool:spago@0.21.0-linux-x64',
+	'unrelated-key'
+];
+
+async function populate() {
+	await cacache.rm.all(cacheRootDir);
+
+	for (const key of keys) {
+		await cacache.put(cacheRootDir, key, key);
+	}
+}
+
+function summarize(entries) {
+	return entries.map(({name, version, platform, arch}) => `${name} ${version} ${platform}-${arch}`);
+}
+
+tap.teardown(() => rimraf.sync(workDir));
+
+tap.test('list the cached binaries', async t => {
+	await populate();
+
+	const entries = await purescriptCache.ls({cacheRootDir});
+
+	t.same(summarize(entries), [
+		'purs 0.15.5-alpha-01 linux-x64',
+		'purs 0.15.4 darwin-arm64',
+		'purs 0.15.4 linux-x64',
+		'purs 0.13.0 linux-x64',
+		'spago 0.21.0 linux-x64'
+	], 'sorts the entries by name and version, and ignores unrelated keys.');
+	t.equal(entries[0].size, keys[2].length);
+	t.type(entries[0].time, 'number');
+});
+
+tap.test('remove the cached binaries of a version', async t => {
+	await populate();
+
+	const {removed, reclaimedSize} = await purescriptCache.rm('0.15.4', {cacheRootDir});
+
+	t.same(summarize(removed), ['purs 0.15.4 darwin-arm64', 'purs 0.15.4 linux-x64']);
+	t.ok(reclaimedSize > 0, 'garbage-collects the contents.');
+
+	t.same(summarize((await purescriptCache.rm('spago@0.21.0', {cacheRootDir})).removed), ['spago 0.21.0 linux-x64']);
+	t.equal((await purescriptCache.ls({cacheRootDir})).length, 2);
+
+	await t.rejects(purescriptCache.rm('^0.15.0', {cacheRootDir}), {
+		message: /^Expected a PureScript version or <tool name>@<version>/u
+	});
+});
+
+tap.test('prune the old versions', async t => {
+	await populate();
+
+	t.same(summarize((await purescriptCache.prune({keep: 1, cacheRootDir})).removed), [
+		'purs 0.15.4 linux-x64',
+		'purs 0.13.0 linux-x64'
+	], 'keeps the newest version of each binary for each platform.');
+
+	await t.rejects(purescriptCache.prune({keep: -1, cacheRootDir}), RangeError);
+});
+
+tap.test('clear the cache', async t => {
+	await populate();
+
+	t.equal((await purescriptCache.clear({cacheRootDir})).removed.length, 5);
+	t.same(await cacache.ls(cacheRootDir), {});
+});
+
+tap.test('verify the cache', async t => {
+	await populate();
+
+	t.match(await purescriptCache.verify({cacheRootDir}), {
+		verifiedContent: keys.length,
+		badContentCount: 0
+	});
+});
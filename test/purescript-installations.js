@@ -0,0 +1,87 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cacache = require('cacache');
+const rimraf = require('rimraf');
+const tap = require('tap');
+
+const installPurescript = require('../install-purescript/index.js');
+const purescriptInstallations = require('../purescript-installations/index.js');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purescript-installations-test-'));
+const cacheRootDir = path.join(workDir, 'cache');
+const prefix = path.join(workDir, 'global');
+
+function writeBinary(binPath, version) {
+	fs.mkdirSync(path.dirname(binPath), {recursive: true});
+	fs.writeFileSync(binPath, `#!/bin/sh\necho ${version}\n`, {mode: 0o755});
+}
+
+tap.teardown(() => {
+	process.chdir(os.tmpdir());
+	rimraf.sync(workDir);
+});
+
+process.chdir(workDir);
+
+tap.test('list and uninstall the binary in the current working directory', {
+	skip: process.platform === 'win32' && 'requires a POSIX shell'
+}, async t => {
+	writeBinary(path.join(workDir, 'purs'), '0.13.0');
+	writeBinary(path.join(workDir, 'spago'), '0.21.0');
+	fs.writeFileSync(path.join(workDir, installPurescript.lockfileName), JSON.stringify({version: '0.13.0'}));
+	await cacache.put(cacheRootDir, installPurescript.getCacheKey('0.13.0'), 'binary');
+
+	t.same(await purescriptInstallations.ls(), [
+		{name: 'purs', version: '0.13.0', reportedVersion: '0.13.0', path: path.join(workDir, 'purs')},
+		{name: 'spago', version: '0.21.0', reportedVersion: '0.21.0', path: path.join(workDir, 'spago')}
+	], 'lists PureScript and the tools.');
+
+	t.match(await purescriptInstallations.uninstall({removeCache: true, cacheRootDir}), {
+		version: '0.13.0',
+		removed: [path.join(workDir, 'purs'), path.join(workDir, installPurescript.lockfileName)],
+		reclaimedSize: 6
+	}, 'removes the binary, the lockfile and the cache.');
+	t.notOk(await cacache.get.info(cacheRootDir, installPurescript.getCacheKey('0.13.0')), 'removes the cache entry.');
+
+	await t.rejects(purescriptInstallations.uninstall(), {code: 'ERR_NOT_INSTALLED'}, 'fails when nothing is installed.');
+});
+
+tap.test('keep the prerelease part of a reported version', {
+	skip: process.platform === 'win32' && 'requires a POSIX shell'
+}, async t => {
+	writeBinary(path.join(workDir, 'purs'), '0.15.0-alpha-01');
+
+	t.match(await purescriptInstallations.ls(), [
+		{name: 'purs', version: '0.15.0-alpha-01', reportedVersion: '0.15.0-alpha-01'}
+	], 'lists the prerelease version.');
+	t.equal((await purescriptInstallations.uninstall()).version, '0.15.0-alpha-01', 'reports the uninstalled prerelease version.');
+});
+
+tap.test('list and uninstall the versions in a prefix directory', {
+	skip: process.platform === 'win32' && 'requires a POSIX shell'
+}, async t => {
+	writeBinary(path.join(prefix, 'versions', '0.14.0', 'purs'), '0.14.0');
+	writeBinary(path.join(prefix, 'versions', '0.15.4', 'purs'), '0.15.4 [development build]');
+
+	t.same((await purescriptInstallations.ls({prefix})).map(({version, reportedVersion}) => [version, reportedVersion]), [
+		['0.15.4', '0.15.4 [development build]'],
+		['0.14.0', '0.14.0']
+	]);
+
+	t.same(await purescriptInstallations.uninstall({prefix, version: '0.14.0'}), {
+		version: '0.14.0',
+		removed: [path.join(prefix, 'versions', '0.14.0', 'purs')],
+		reclaimedSize: 0
+	});
+	t.notOk(fs.existsSync(path.join(prefix, 'versions', '0.14.0')), 'removes the version directory.');
+
+	await t.rejects(purescriptInstallations.uninstall({prefix, version: 'latest'}), {
+		message: 'Expected `version` option to be an exact PureScript version to uninstall, but got \'latest\'.'
+	});
+	await t.rejects(purescriptInstallations.ls({prefix, name: 'bin/purs'}), {
+		message: '`name` option cannot be used with `prefix` option, but \'bin/purs\' was provided.'
+	});
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const tap = require('tap');
+
+const readPurescriptProjectVersion = require('../purescript-project-version/index.js');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purescript-project-version-test-'));
+let count = 0;
+
+function createProject(files) {
+	const dir = path.join(workDir, String(count++));
+
+	fs.mkdirSync(dir);
+
+	for (const [name, contents] of Object.entries(files)) {
+		fs.writeFileSync(path.join(dir, name), typeof contents === 'string' ? contents : JSON.stringify(contents));
+	}
+
+	return dir;
+}
+
+tap.teardown(() => rimraf.sync(workDir));
+
+tap.test('read the version from the project files in order', t => {
+	const dir = createProject({
+		'package.json': {
+			dependencies: {purescript: 'github:purescript/npm-installer'},
+			devDependencies: {purescript: '^0.13.0'},
+			engines: {purs: '0.12.5'}
+		},
+		'.purs-version': '0.12.0\n'
+	});
+
+	t.same(readPurescriptProjectVersion(dir), {
+		version: '^0.13.0',
+		path: path.join(dir, 'package.json'),
+		field: 'devDependencies.purescript'
+	}, 'ignores a dependency that is not a version range.');
+
+	t.same(readPurescriptProjectVersion(createProject({
+		'package.json': {engines: {node: '>=12', purs: '0.12.5'}},
+		'.purs-version': '0.12.0\n'
+	})), {version: '0.12.5', path: path.join(workDir, '1', 'package.json'), field: 'engines.purs'}, 'reads `engines.purs` field.');
+
+	t.same(readPurescriptProjectVersion(createProject({
+		'package.json': {name: 'app'},
+		'.purs-version': ' latest\n',
+		'spago.yaml': 'workspace:\n  compiler: 0.15.4\n'
+	})), {version: 'latest', path: path.join(workDir, '2', '.purs-version'), field: null}, 'reads .purs-version file.');
+
+	t.same(readPurescriptProjectVersion(createProject({
+		'spago.yaml': 'package:\n  name: app\nworkspace:\n  compiler: 0.10\n'
+	})), {version: '0.10', path: path.join(workDir, '3', 'spago.yaml'), field: 'workspace.compiler'}, 'reads spago.yaml.');
+
+	t.equal(readPurescriptProjectVersion(createProject({'package.json': {}})), null, 'returns null when no version is specified.');
+	t.end();
+});
+
+tap.test('reject an invalid version in the project files', t => {
+	t.throws(() => readPurescriptProjectVersion(createProject({'.purs-version': 'purs 0.13\n'})), {
+		code: 'ERR_INVALID_PROJECT_VERSION',
+		message: /^Expected the contents of .*\.purs-version to be a PureScript version, .* but got 'purs 0\.13'\.$/u
+	});
+	t.throws(() => readPurescriptProjectVersion(createProject({'package.json': {engines: {purs: true}}})), {
+		code: 'ERR_INVALID_PROJECT_VERSION'
+	});
+	t.throws(() => readPurescriptProjectVersion(createProject({'package.json': '{'})), {
+		message: /^Failed to parse .*package\.json: /u
+	});
+	t.throws(() => readPurescriptProjectVersion(1), {
+		name: 'TypeError',
+		message: 'Expected a path of the project directory, but got a non-string value 1.'
+	});
+	t.end();
+});
@@ -0,0 +1,115 @@
+'use strict';
+
+const {execFileSync} = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const tap = require('tap');
+
+const purescriptVersions = require('../purescript-versions/index.js');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purescript-versions-test-'));
+const prefix = path.join(workDir, 'prefix');
+const binName = `purs${process.platform === 'win32' ? '.exe' : ''}`;
+
+for (const version of ['0.13.0', '0.13.8', '0.15.0-alpha-01']) {
+	fs.mkdirSync(path.join(prefix, 'versions', version), {recursive: true});
+	fs.writeFileSync(path.join(prefix, 'versions', version, binName), '');
+}
+
+// a directory without a binary, for example one whose installation failed
+fs.mkdirSync(path.join(prefix, 'versions', '0.14.0'));
+
+tap.teardown(() => rimraf.sync(workDir));
+
+tap.test('list the installed versions', async t => {
+	t.same((await purescriptVersions.ls({prefix})).map(({version}) => version), ['0.15.0-alpha-01', '0.13.8', '0.13.0']);
+	t.same(await purescriptVersions.ls({prefix: path.join(workDir, 'none')}), [], 'returns an empty array before any installation.');
+});
+
+tap.test('select the version the nearest project specifies', t => {
+	const projectDir = path.join(workDir, 'project');
+	const nestedDir = path.join(projectDir, 'packages', 'lib');
+
+	fs.mkdirSync(nestedDir, {recursive: true});
+	fs.writeFileSync(path.join(projectDir, 'package.json'), JSON.stringify({devDependencies: {purescript: '^0.13.0'}}));
+	fs.writeFileSync(path.join(nestedDir, 'package.json'), JSON.stringify({name: 'lib'}));
+
+	t.match(purescriptVersions.resolveShimTarget(nestedDir, {prefix}), {
+		version: '0.13.8',
+		path: path.join(prefix, 'versions', '0.13.8', binName),
+		projectVersion: {field: 'devDependencies.purescript'}
+	}, 'looks for the version in the parent directories.');
+
+	fs.writeFileSync(path.join(nestedDir, '.purs-version'), 'latest');
+	t.equal(purescriptVersions.resolveShimTarget(nestedDir, {prefix}).version, '0.13.8', 'resolves `latest` to a stable version.');
+
+	fs.writeFileSync(path.join(nestedDir, '.purs-version'), '0.14.0');
+	t.throws(() => purescriptVersions.resolveShimTarget(nestedDir, {prefix}), {
+		code: 'ERR_PURESCRIPT_NOT_INSTALLED',
+		message: /^PureScript 0\.14\.0 specified by .*\.purs-version is not installed in /u
+	}, 'fails when no installed version matches.');
+	t.end();
+});
+
+tap.test('write a shim that doesn\'t depend on the location of the installer', {
+	skip: process.platform === 'win32' && 'requires a POSIX shell'
+}, async t => {
+	const shimPrefix = path.join(workDir, 'shim');
+	const movedPrefix = path.join(workDir, 'moved');
+
+	fs.mkdirSync(path.join(shimPrefix, 'versions', '0.13.0'), {recursive: true});
+	fs.writeFileSync(path.join(shimPrefix, 'versions', '0.13.0', 'purs'), '#!/bin/sh\necho 0.13.0\n', {mode: 0o755});
+
+	const shimPath = await purescriptVersions.writeShim({prefix: shimPrefix});
+
+	t.notOk(fs.readFileSync(shimPath, 'utf8').includes(path.join(__dirname, '..')), 'doesn\'t refer to the installer.');
+	t.ok(fs.existsSync(path.join(shimPrefix, 'lib', 'purescript-versions', 'index.js')), 'copies the runtime into the prefix.');
+
+	await purescriptVersions.writeShim({prefix: shimPrefix});
+	t.same(fs.readdirSync(shimPrefix).sort(), ['bin', 'lib', 'versions'], 'replaces the previous runtime.');
+
+	fs.renameSync(shimPrefix, movedPrefix);
+	t.equal(
+		execFileSync(path.join(movedPrefix, 'bin', 'purs'), ['--version'], {cwd: workDir, encoding: 'utf8'}).trim(),
+		'0.13.0',
+		'runs after the prefix is moved.'
+	);
+});
+
+tap.test('keep the previous runtime when it cannot be replaced', async t => {
+	const shimPrefix = path.join(workDir, 'failing-shim');
+	const libDir = path.join(shimPrefix, 'lib');
+	const originalRename = fs.rename;
+
+	await purescriptVersions.writeShim({prefix: shimPrefix});
+
+	const entries = fs.readdirSync(libDir).sort();
+
+	fs.rename = (oldPath, newPath, callback) => {
+		if (newPath === libDir && oldPath.endsWith('.tmp')) {
+			callback(Object.assign(new Error('EACCES: permission denied'), {code: 'EACCES'}));
+			return;
+		}
+
+		originalRename(oldPath, newPath, callback);
+	};
+	t.teardown(() => {
+		fs.rename = originalRename;
+	});
+
+	await t.rejects(purescriptVersions.writeShim({prefix: shimPrefix}), {code: 'EACCES'});
+	t.same(fs.readdirSync(libDir).sort(), entries, 'restores the runtime.');
+	t.same(fs.readdirSync(shimPrefix).sort(), ['bin', 'lib'], 'removes the temporary directories.');
+});
+
+tap.test('reject an invalid `prefix` option', t => {
+	t.throws(() => purescriptVersions.getBinPath('0.13.0', {prefix: ''}), {
+		message: 'Expected `prefix` option to be a path of the directory to install PureScript versions in, but got \'\' (empty string).'
+	});
+	t.throws(() => purescriptVersions.getBinPath('0.13', {prefix}), {
+		message: 'Expected a PureScript version, for example \'0.13.0\', but got \'0.13\'.'
+	});
+	t.end();
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const http = require('http');
+const tap = require('tap');
+
+const installPurescript = require('../install-purescript/index.js');
+const resolvePurescriptVersion = require('../resolve-purescript-version/index.js');
+
+// A stand-in for https://api.github.com/repos/purescript/purescript/releases
+// that serves two releases per page.
+const releases = [
+	{tag_name: 'v0.15.5-alpha-01', prerelease: true, draft: false},
+	{tag_name: 'v0.15.4', prerelease: false, draft: false},
+	{tag_name: 'v0.15.3', prerelease: false, draft: false},
+	{tag_name: 'v0.15.0-alpha-06', prerelease: true, draft: false},
+	{tag_name: 'v0.14.9', prerelease: false, draft: true},
+	{tag_name: 'v0.14.5', prerelease: false, draft: false},
+	{tag_name: 'v0.13.8', prerelease: false, draft: false}
+];
+
+const server = http.createServer((req, res) => {
+	const url = new URL(req.url, `http://localhost:${server.address().port}`);
+	const page = Number(url.searchParams.get('page') || 1);
+
+	if (page * 2 < releases.length) {
+		res.setHeader('link', `<${url.origin}/releases?per_page=100&page=${page + 1}>; rel="next"`);
+	}
+
+	res.setHeader('content-type', 'application/json');
+	res.end(JSON.stringify(releases.slice((page - 1) * 2, page * 2)));
+});
+
+function resolve(range) {
+	return resolvePurescriptVersion(range, {
+		releasesUrl: `http://localhost:${server.address().port}/releases`
+	});
+}
+
+tap.teardown(() => server.close());
+
+tap.test('setup', t => {
+	server.listen(0, t.end);
+});
+
+tap.test('resolve a version range', async t => {
+	t.equal(await resolve('^0.15.0'), '0.15.4', 'resolves a caret range to the maximum satisfying release.');
+	t.equal(await resolve('~0.14'), '0.14.5', 'ignores draft releases.');
+	t.equal(await resolve('0.13.x'), '0.13.8', 'follows the pagination links.');
+});
+
+tap.test('resolve tags', async t => {
+	t.equal(await resolve('latest'), '0.15.4', 'resolves `latest` to the newest stable release.');
+	t.equal(await resolve('latest-prerelease'), '0.15.5-alpha-01', 'resolves `latest-prerelease` to the newest release.');
+});
+
+tap.test('return an exact version as it is', async t => {
+	t.equal(await resolvePurescriptVersion('0.12.5', {releasesUrl: 'http://localhost:1/'}), '0.12.5');
+});
+
+tap.test('fail when no release matches the range', async t => {
+	await t.rejects(resolve('^1.0.0'), {code: 'ERR_NO_MATCHING_VERSION'});
+});
+
+tap.test('fail when the range is invalid', async t => {
+	await t.rejects(resolve('foo'), {code: 'ERR_INVALID_VERSION_RANGE'});
+});
+
+tap.test('make installPurescript fail at `resolve-version` step', t => {
+	installPurescript({
+		version: '^1.0.0',
+		releasesUrl: `http://localhost:${server.address().port}/releases`
+	}).subscribe({
+		error(err) {
+			t.equal(err.id, 'resolve-version');
+			t.equal(err.code, 'ERR_NO_MATCHING_VERSION');
+			t.end();
+		}
+	});
+});
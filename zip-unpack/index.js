@@ -0,0 +1,209 @@
+'use strict';
+
+const fs = require('fs');
+const {tmpdir} = require('os');
+const {dirname, isAbsolute, join, resolve} = require('path');
+const {inspect, promisify} = require('util');
+const {pipeline: pump, Transform, Writable} = require('stream');
+
+const rimraf = require('rimraf');
+const yauzl = require('yauzl');
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+// An archive member, with the properties of node-tar's ReadEntry that matter as progress information
+class ZipEntry extends Transform {
+	constructor(zipEntry) {
+		super();
+
+		const isDirectory = zipEntry.fileName.endsWith('/');
+		// the upper 16 bits are the Unix mode if the archive is created on a Unix system
+		const mode = zipEntry.externalFileAttributes >>> 16;
+
+		this.path = isDirectory ? zipEntry.fileName.slice(0, -1) : zipEntry.fileName;
+		this.type = isDirectory ? 'Directory' : 'File';
+		this.size = isDirectory ? 0 : zipEntry.uncompressedSize;
+		this.remain = this.size;
+		this.mode = (mode & 0o7777) || (isDirectory ? 0o755 : 0o644);
+		this.mtime = zipEntry.getLastModDate();
+		this.isSymbolicLink = (mode & S_IFMT) === S_IFLNK;
+		this.header = {
+			path: this.path,
+			type: this.type,
+			size: this.size,
+			mode: this.mode,
+			mtime: this.mtime
+		};
+		this.absolute = null;
+	}
+
+	_transform(chunk, encoding, cb) {
+		this.remain -= chunk.length;
+		cb(null, chunk);
+	}
+}
+
+module.exports = class ZipUnpack extends Writable {
+	constructor(options = {}) {
+		super();
+
+		for (const optionName of ['filter', 'onentry', 'onwarn']) {
+			if (options[optionName] !== undefined && typeof options[optionName] !== 'function') {
+				throw new TypeError(`\`${optionName}\` option must be a function, but got ${inspect(options[optionName])}.`);
+			}
+		}
+
+		this.cwd = resolve(options.cwd || process.cwd());
+		this.strip = options.strip || 0;
+		this.strict = Boolean(options.strict);
+		this.filter = options.filter;
+		this.onentry = options.onentry;
+		this.onwarn = options.onwarn;
+		// yauzl reads the central directory at the end of the archive, so the archive is saved before extraction
+		this.tmpDir = null;
+		this.tmpFile = null;
+	}
+
+	async _write(chunk, encoding, cb) {
+		try {
+			if (!this.tmpFile) {
+				this.tmpDir = await promisify(fs.mkdtemp)(join(tmpdir(), 'zip-unpack-'));
+				this.tmpFile = fs.createWriteStream(join(this.tmpDir, 'archive.zip'));
+			}
+		} catch (err) {
+			cb(err);
+			return;
+		}
+
+		this.tmpFile.write(chunk, cb);
+	}
+
+	async _final(cb) {
+		try {
+			if (!this.tmpFile) {
+				throw new Error('Expected a zip archive, but got no data.');
+			}
+
+			await promisify(this.tmpFile.end.bind(this.tmpFile))();
+			await this.extract(this.tmpFile.path);
+		} catch (err) {
+			this.removeTmpDir(() => cb(err));
+			return;
+		}
+
+		this.removeTmpDir(cb);
+	}
+
+	_destroy(err, cb) {
+		if (this.tmpFile) {
+			this.tmpFile.destroy();
+		}
+
+		this.removeTmpDir(() => cb(err));
+	}
+
+	removeTmpDir(cb) {
+		if (!this.tmpDir) {
+			cb();
+			return;
+		}
+
+		const {tmpDir} = this;
+
+		this.tmpDir = null;
+		rimraf(tmpDir, () => cb());
+	}
+
+	warn(code, message, entry) {
+		const error = new Error(message);
+
+		error.code = code;
+		error.entry = entry;
+
+		if (this.strict) {
+			throw error;
+		}
+
+		if (this.onwarn) {
+			this.onwarn(code, message, error);
+		}
+	}
+
+	// Apply `filter` and `strip` in the same order as node-tar does, and return whether the entry is extracted
+	checkPath(entry) {
+		if (this.filter && !this.filter(entry.path, entry)) {
+			return false;
+		}
+
+		if (entry.isSymbolicLink) {
+			this.warn('ZIP_ENTRY_UNSUPPORTED', `symbolic links are not supported: ${entry.path}`, entry);
+			return false;
+		}
+
+		const parts = entry.path.split('/');
+
+		if (parts.length <= this.strip) {
+			return false;
+		}
+
+		entry.path = parts.slice(this.strip).join('/');
+
+		if (isAbsolute(entry.path) || entry.path.split(/[/\\]/u).includes('..')) {
+			this.warn('ZIP_ENTRY_ERROR', `path contains '..' or is absolute: ${entry.path}`, entry);
+			return false;
+		}
+
+		entry.absolute = resolve(this.cwd, entry.path);
+		return true;
+	}
+
+	async extract(archivePath) {
+		const zipfile = await promisify(yauzl.open)(archivePath, {lazyEntries: true});
+
+		try {
+			await new Promise((resolvePromise, reject) => {
+				zipfile.on('error', reject);
+				zipfile.on('end', resolvePromise);
+				zipfile.on('entry', async zipEntry => {
+					try {
+						await this.extractEntry(zipfile, zipEntry);
+					} catch (err) {
+						reject(err);
+						return;
+					}
+
+					zipfile.readEntry();
+				});
+				zipfile.readEntry();
+			});
+		} finally {
+			zipfile.close();
+		}
+	}
+
+	async extractEntry(zipfile, zipEntry) {
+		const entry = new ZipEntry(zipEntry);
+
+		if (!this.checkPath(entry)) {
+			return;
+		}
+
+		if (this.onentry) {
+			this.onentry(entry);
+		}
+
+		if (entry.type === 'Directory') {
+			await promisify(fs.mkdir)(entry.absolute, {recursive: true, mode: entry.mode});
+			entry.end();
+			return;
+		}
+
+		await promisify(fs.mkdir)(dirname(entry.absolute), {recursive: true});
+		await promisify(pump)(
+			await promisify(zipfile.openReadStream.bind(zipfile))(zipEntry),
+			entry,
+			fs.createWriteStream(entry.absolute, {mode: entry.mode})
+		);
+	}
+};